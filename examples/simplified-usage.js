@@ -4,8 +4,14 @@
  * @author https://github.com/odion-cloud
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const RockdexDB = require('../rockdex-db');
 
+// File mode examples write to a scratch directory that is removed at the end
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rockdex-examples-'));
+
 // Example 1: Memory Mode (Default)
 console.log('=== Memory Mode Example ===');
 const memoryDB = new RockdexDB({
@@ -37,13 +43,13 @@ console.log('Posts:', memoryDB.get('posts'));
 console.log('\n=== File Mode Example ===');
 const fileDB = new RockdexDB({
     storageMode: 'file',
-    storagePath: './database',
+    storagePath: path.join(dataDir, 'database'),
     storageTable: ['users.rdb', 'posts.rdb', 'categories.rdb'],
     logging: true
 });
 
 // Initialize and wait for ready
-(async () => {
+const fileExample = (async () => {
     await fileDB.ready();
     
     console.log('Database initialized with tables:', Object.keys(fileDB.getStorageStats().tables));
@@ -81,9 +87,8 @@ const fileDB = new RockdexDB({
         console.log('\nExported users data length:', usersExport.length);
         console.log('Exported posts data length:', postsExport.length);
         
-        // You can now write these to files manually:
-        // fs.writeFileSync('./database/users.rdb', usersExport);
-        // fs.writeFileSync('./database/posts.rdb', postsExport);
+        // File mode already writes changes back to database/*.rdb;
+        // export strings are useful for backups or sharing.
     }
     
     // Get storage statistics
@@ -95,12 +100,12 @@ console.log('\n=== Import/Export Workflow ===');
 
 const workflowDB = new RockdexDB({
     storageMode: 'file',
-    storagePath: './my-project/data',
+    storagePath: path.join(dataDir, 'my-project', 'data'),
     storageTable: ['customers.rdb', 'orders.rdb'],
     logging: true
 });
 
-(async () => {
+const workflowExample = (async () => {
     await workflowDB.ready();
     
     // Add sample data
@@ -306,4 +311,12 @@ try {
     console.log('Transaction failed:', error.message);
 }
 
-console.log('\nAll examples completed!'); 
+console.log('\nAll examples completed!');
+
+// Write pending snapshots, then remove the file mode scratch directory
+Promise.all([fileExample, workflowExample]).then(() => {
+    fileDB.flush();
+    workflowDB.flush();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
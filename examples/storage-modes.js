@@ -177,7 +177,7 @@ async function demonstrateStorageModes() {
         const insertTime = Date.now() - start;
         
         const queryStart = Date.now();
-        const results = db.where('value', 500, '>').get('performance_test');
+        const results = db.whereOperator('value', '>', 500).get('performance_test');
         const queryTime = Date.now() - queryStart;
         
         console.log(`${label}:`);
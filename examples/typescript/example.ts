@@ -52,7 +52,7 @@ db.bulkInsert('users', usersToInsert);
 
 // 1. Find users older than 25
 const adultUsers = db
-    .where('age', 25, RockdexDb.OPERATORS.GT)
+    .whereOperator('age', RockdexDb.OPERATORS.GT, 25)
     .get('users') as User[];
 
 console.log('Adult Users:', adultUsers);
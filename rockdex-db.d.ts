@@ -10,19 +10,102 @@ declare module 'rockdex-db' {
         storageMode?: 'memory' | 'file';
         storagePath?: string;
         storageTable?: string[];
+        persistDelay?: number;
         logging?: boolean | ((message: string) => void);
         timestamps?: boolean;
         softDelete?: boolean;
         defaultData?: Record<string, any[]>;
+        performance?: boolean;
+        autoIndex?: boolean;
+        chunkSize?: number;
+        maxMemoryChunks?: number;
+        chunkPath?: string;
+        compression?: boolean;
+        collation?: Collation;
+    }
+
+    type Collation = string | Intl.Collator | ({ locale?: string } & Intl.CollatorOptions);
+
+    type SortDirection = 'ASC' | 'DESC' | 'ASC NULLS FIRST' | 'ASC NULLS LAST' | 'DESC NULLS FIRST' | 'DESC NULLS LAST';
+
+    type SelectColumn = string | Record<string, string | ((row: any) => any)>;
+
+    interface AggregateSpec {
+        aggregate: 'count' | 'sum' | 'avg' | 'min' | 'max';
+        field?: string;
+    }
+
+    interface Aggregates {
+        count(field?: string): AggregateSpec;
+        sum(field: string): AggregateSpec;
+        avg(field: string): AggregateSpec;
+        min(field: string): AggregateSpec;
+        max(field: string): AggregateSpec;
+    }
+
+    interface RelationOptions {
+        foreignKey: string;
+        localKey?: string;
+        as?: string;
+        through?: string;
+        otherKey?: string;
+        relatedKey?: string;
+        enforce?: boolean;
+        onDelete?: ReferentialAction;
+        onUpdate?: ReferentialAction;
+    }
+
+    type ReferentialAction = 'cascade' | 'setNull' | 'restrict';
+
+    interface Savepoint {
+        readonly name: string | null;
+        readonly mark: number;
+    }
+
+    interface OrderByOptions {
+        nulls?: 'first' | 'last';
+        collation?: Collation;
     }
 
     interface SchemaRule {
-        type?: 'string' | 'number' | 'boolean' | 'object';
+        type?: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'array' | 'object';
         required?: boolean;
-        min?: number;
-        max?: number;
+        nullable?: boolean;
+        enum?: any[];
+        min?: number | string | Date;
+        max?: number | string | Date;
         length?: number;
+        minLength?: number;
+        maxLength?: number;
         pattern?: RegExp;
+        items?: SchemaRule;
+        properties?: Schema;
+        validate?: (value: any, record: any) => boolean | string | void;
+        unique?: boolean;
+        indexed?: boolean;
+    }
+
+    interface IndexOptions {
+        unique?: boolean;
+        multikey?: boolean;
+    }
+
+    interface ExplainIndexCandidate {
+        index: string;
+        fields: string[];
+        usable: boolean;
+        matchedColumns: number;
+        estimatedRows: number | null;
+    }
+
+    interface ExplainResult {
+        table: string;
+        access: 'scan' | 'index' | 'intersection' | 'union';
+        indexes: string[];
+        considered: ExplainIndexCandidate[];
+        estimatedRows: number;
+        actualRows: number;
+        cost: number;
     }
 
     interface Schema {
@@ -53,6 +136,53 @@ declare module 'rockdex-db' {
         }>;
         totalRecords: number;
         memoryUsage: number;
+        chunks: ChunkStats;
+    }
+
+    interface ChunkStats {
+        total: number;
+        resident: number;
+        paged: number;
+    }
+
+    interface IndexRangeOptions {
+        min?: any;
+        max?: any;
+        minInclusive?: boolean;
+        maxInclusive?: boolean;
+        reverse?: boolean;
+    }
+
+    class BTreeIndex {
+        constructor(degree?: number, options?: { fields?: string[]; multikey?: boolean });
+        readonly size: number;
+        readonly keyCount: number;
+        search(key: any): any[];
+        searchRange(minKey: any, maxKey: any, options?: IndexRangeOptions): any[];
+        entries(options?: IndexRangeOptions): IterableIterator<{ key: any; values: any[] }>;
+        count(options?: IndexRangeOptions, cap?: number): number;
+        insert(key: any, value: any): void;
+        bulkInsert(keyValuePairs: Array<{ key: any; value: any }>): void;
+        delete(key: any, value?: any): boolean;
+        clear(): void;
+    }
+
+    interface OptimizedStorageOptions {
+        chunkSize?: number;
+        maxMemoryChunks?: number;
+        chunkPath?: string;
+        compression?: boolean;
+    }
+
+    class OptimizedStorage {
+        constructor(options?: OptimizedStorageOptions);
+        readonly chunkSize: number;
+        readonly maxMemoryChunks: number;
+        loadTable(tableName: string, data: any[]): void;
+        unloadTable(tableName: string): void;
+        streamRecords(tableName: string, conditions?: Record<string, any>): IterableIterator<any>;
+        getChunk(tableName: string, chunkId: number): any[];
+        getStats(): ChunkStats;
     }
 
     interface TriggerContext {
@@ -63,8 +193,172 @@ declare module 'rockdex-db' {
 
     type TriggerFunction = (context: TriggerContext) => boolean | void;
 
+    type ErrorCode =
+        | 'ROCKDEX_ERROR'
+        | 'TABLE_NOT_FOUND'
+        | 'SCHEMA_VALIDATION'
+        | 'CONSTRAINT_VIOLATION'
+        | 'TRIGGER_ABORT'
+        | 'IMPORT_FORMAT'
+        | 'INVALID_ARGUMENT'
+        | 'ALREADY_EXISTS'
+        | 'NOT_FOUND'
+        | 'INVALID_STATE'
+        | 'UNSUPPORTED';
+
+    class RockdexError extends Error {
+        constructor(message: string, code?: ErrorCode, details?: { table?: string });
+        code: ErrorCode;
+        table?: string;
+    }
+
+    class TableNotFoundError extends RockdexError {
+        code: 'TABLE_NOT_FOUND';
+        table: string;
+    }
+
+    type SchemaRuleName =
+        | 'required'
+        | 'nullable'
+        | 'type'
+        | 'enum'
+        | 'min'
+        | 'max'
+        | 'length'
+        | 'minLength'
+        | 'maxLength'
+        | 'pattern'
+        | 'validate';
+
+    interface SchemaViolation {
+        field: string;
+        rule: SchemaRuleName;
+        expected: any;
+        actual: any;
+        message: string;
+    }
+
+    interface RowValidationReport {
+        index: number;
+        id: any;
+        violations: SchemaViolation[];
+    }
+
+    interface TableValidationReport {
+        valid: boolean;
+        total: number;
+        invalid: number;
+        rows: RowValidationReport[];
+    }
+
+    interface BulkInsertOptions {
+        invalid?: 'throw' | 'skip' | 'collect';
+    }
+
+    interface ConstraintViolation {
+        field: string;
+        rule: 'unique' | 'foreignKey';
+        expected: any;
+        actual: any;
+        message: string;
+    }
+
+    interface BulkInsertReport {
+        inserted: number;
+        rejected: Array<{ index: number; record: any; violations: Array<SchemaViolation | ConstraintViolation> }>;
+    }
+
+    class SchemaValidationError extends RockdexError {
+        code: 'SCHEMA_VALIDATION';
+        field?: string;
+        rule?: SchemaRuleName;
+        expected?: any;
+        actual?: any;
+        violations: SchemaViolation[];
+        rows?: RowValidationReport[];
+    }
+
+    class TriggerAbortError extends RockdexError {
+        code: 'TRIGGER_ABORT';
+        operation?: string;
+    }
+
+    class ImportFormatError extends RockdexError {
+        code: 'IMPORT_FORMAT';
+        cause?: Error;
+    }
+
+    class ConstraintViolationError extends RockdexError {
+        code: 'CONSTRAINT_VIOLATION';
+        constraint?: string;
+        fields?: string[];
+        value?: any;
+    }
+
+    class Query {
+        readonly tableName: string;
+
+        where(field: string, value: any, logic?: 'AND' | 'OR'): Query;
+        orWhere(field: string, value: any): Query;
+        whereOperator(field: string, operator: string, value: any): Query;
+        orWhereOperator(field: string, operator: string, value: any): Query;
+        whereGroup(callback: (query: RockdexDB) => void, logic?: 'AND' | 'OR'): Query;
+        orWhereGroup(callback: (query: RockdexDB) => void): Query;
+        whereIn(field: string, values: any[]): Query;
+        whereNotIn(field: string, values: any[]): Query;
+        whereBetween(field: string, min: any, max: any): Query;
+        whereNull(field: string): Query;
+        whereNotNull(field: string): Query;
+        whereLike(field: string, pattern: string): Query;
+        whereContains(field: string, value: any): Query;
+        whereContainsAny(field: string, values: any[]): Query;
+        whereContainsAll(field: string, values: any[]): Query;
+        search(conditions: Record<string, any>): Query;
+        select(columns: SelectColumn[]): Query;
+        select(...columns: SelectColumn[]): Query;
+        orderBy(column: string, direction?: SortDirection, options?: OrderByOptions): Query;
+        limit(limit: number, offset?: number): Query;
+        groupBy(columns: string | string[]): Query;
+        aggregate(specs: Record<string, AggregateSpec | ((rows: any[]) => any)>): Query;
+        having(field: string, operator: string, value: any): Query;
+        having(field: string, value: any): Query;
+        having(predicate: (group: any) => boolean): Query;
+        innerJoin(table: string, leftKey: string, rightKey: string): Query;
+        leftJoin(table: string, leftKey: string, rightKey: string): Query;
+        rightJoin(table: string, leftKey: string, rightKey: string): Query;
+        fullJoin(table: string, leftKey: string, rightKey: string): Query;
+        with(relation: string, constraint?: (query: RockdexDB) => void): Query;
+        with(relations: string[] | Record<string, ((query: RockdexDB) => void) | null>): Query;
+
+        get(): Promise<any[]>;
+        getOne(): any | null;
+        count(): number;
+        distinct(column: string): any[];
+        avg(column: string): number;
+        sum(column: string): number;
+        min(column: string): any;
+        max(column: string): any;
+        paginate(page?: number, perPage?: number): PaginationResult<any>;
+        toJSON(): string;
+        stream(): AsyncIterableIterator<any>;
+        cursor(): AsyncIterableIterator<any>;
+        explain(): ExplainResult;
+        update(data: any): RockdexDB;
+        delete(): RockdexDB;
+    }
+
     class RockdexDB {
         static AUTO_INCREMENT: string;
+        static RockdexError: typeof RockdexError;
+        static TableNotFoundError: typeof TableNotFoundError;
+        static SchemaValidationError: typeof SchemaValidationError;
+        static ConstraintViolationError: typeof ConstraintViolationError;
+        static TriggerAbortError: typeof TriggerAbortError;
+        static ImportFormatError: typeof ImportFormatError;
+        static Query: typeof Query;
+        static BTreeIndex: typeof BTreeIndex;
+        static OptimizedStorage: typeof OptimizedStorage;
+        static aggregates: Aggregates;
         static OPERATORS: {
             EQ: '=';
             GT: '>';
@@ -73,7 +367,17 @@ declare module 'rockdex-db' {
             LTE: '<=';
             NEQ: '!=';
             LIKE: 'LIKE';
+            NOT_LIKE: 'NOT LIKE';
+            ILIKE: 'ILIKE';
+            REGEXP: 'REGEXP';
             IN: 'IN';
+            NOT_IN: 'NOT IN';
+            BETWEEN: 'BETWEEN';
+            IS_NULL: 'IS NULL';
+            IS_NOT_NULL: 'IS NOT NULL';
+            CONTAINS: 'CONTAINS';
+            CONTAINS_ANY: 'CONTAINS_ANY';
+            CONTAINS_ALL: 'CONTAINS_ALL';
         };
 
         constructor(config?: RockdexDBConfig);
@@ -81,6 +385,7 @@ declare module 'rockdex-db' {
         // Core Methods
         ready(): Promise<RockdexDB>;
         setLogging(enable: boolean | ((message: string) => void)): RockdexDB;
+        flush(): RockdexDB;
 
         // Table Management
         createTable(tableName: string, schema?: Schema): RockdexDB;
@@ -97,20 +402,40 @@ declare module 'rockdex-db' {
         dropColumn(tableName: string, columnName: string): RockdexDB;
 
         // Relationships
-        setRelation(tableName: string, relatedTable: string, type: 'hasOne' | 'hasMany' | 'belongsTo', foreignKey: string): RockdexDB;
+        setRelation(tableName: string, relatedTable: string, type: 'hasOne' | 'hasMany' | 'belongsTo', foreignKey: string | RelationOptions): RockdexDB;
+        setRelation(tableName: string, relatedTable: string, type: 'belongsToMany', options: RelationOptions & { through: string; otherKey: string }): RockdexDB;
+        attach(tableName: string, relation: string, localId: any, relatedIds: any | any[], pivotData?: Record<string, any>): RockdexDB;
+        detach(tableName: string, relation: string, localId: any, relatedIds?: any | any[]): RockdexDB;
+        sync(tableName: string, relation: string, localId: any, relatedIds: any[], pivotData?: Record<string, any>): RockdexDB;
+        with(relation: string, constraint?: (query: RockdexDB) => void): RockdexDB;
+        with(relations: string[] | Record<string, ((query: RockdexDB) => void) | null>): RockdexDB;
 
         // Triggers
         createTrigger(tableName: string, triggerName: string, trigger: TriggerFunction): RockdexDB;
         dropTrigger(tableName: string, triggerName: string): RockdexDB;
 
         // Query Building
-        where(field: string, value: any, operator?: string): RockdexDB;
+        table(tableName: string): Query;
+        query(tableName: string): Query;
+        where(field: string, value: any, logic?: 'AND' | 'OR'): RockdexDB;
         orWhere(field: string, value: any): RockdexDB;
+        orWhereOperator(field: string, operator: string, value: any): RockdexDB;
+        whereGroup(callback: (query: RockdexDB) => void, logic?: 'AND' | 'OR'): RockdexDB;
+        orWhereGroup(callback: (query: RockdexDB) => void): RockdexDB;
         whereOperator(field: string, operator: string, value: any): RockdexDB;
         whereIn(field: string, values: any[]): RockdexDB;
+        whereNotIn(field: string, values: any[]): RockdexDB;
+        whereBetween(field: string, min: any, max: any): RockdexDB;
+        whereNull(field: string): RockdexDB;
+        whereNotNull(field: string): RockdexDB;
+        whereContains(field: string, value: any): RockdexDB;
+        whereContainsAny(field: string, values: any[]): RockdexDB;
+        whereContainsAll(field: string, values: any[]): RockdexDB;
         whereLike(field: string, pattern: string): RockdexDB;
         search(conditions: Record<string, any>): RockdexDB;
-        orderBy(column: string, direction?: 'ASC' | 'DESC'): RockdexDB;
+        select(columns: SelectColumn[]): RockdexDB;
+        select(...columns: SelectColumn[]): RockdexDB;
+        orderBy(column: string, direction?: SortDirection, options?: OrderByOptions): RockdexDB;
         limit(limit: number, offset?: number): RockdexDB;
 
         // Data Retrieval
@@ -118,6 +443,8 @@ declare module 'rockdex-db' {
         getOne(tableName: string): any | null;
         count(tableName: string): number;
         distinct(tableName: string, column: string): any[];
+        stream(tableName: string): AsyncIterableIterator<any>;
+        cursor(tableName: string): AsyncIterableIterator<any>;
 
         // Aggregation
         avg(tableName: string, column: string): number;
@@ -125,17 +452,25 @@ declare module 'rockdex-db' {
         min(tableName: string, column: string): any;
         max(tableName: string, column: string): any;
         groupBy(tableName: string, column: string): Record<string, any[]>;
+        groupBy(columns: string | string[]): RockdexDB;
+        aggregate(specs: Record<string, AggregateSpec | ((rows: any[]) => any)>): RockdexDB;
+        having(field: string, operator: string, value: any): RockdexDB;
+        having(field: string, value: any): RockdexDB;
+        having(predicate: (group: any) => boolean): RockdexDB;
 
         // Data Modification
         insert(tableName: string, data: any): RockdexDB;
-        bulkInsert(tableName: string, dataArray: any[]): RockdexDB;
+        bulkInsert(tableName: string, dataArray: any[], options: BulkInsertOptions & { invalid: 'collect' }): Promise<BulkInsertReport>;
+        bulkInsert(tableName: string, dataArray: any[], options?: BulkInsertOptions): Promise<RockdexDB>;
         update(tableName: string, data: any): RockdexDB;
         delete(tableName: string): RockdexDB;
         truncate(tableName: string): RockdexDB;
 
         // Utilities
         getLastInsertId(): string | null;
-        getLastError(): Error | null;
+        getLastError(): RockdexError | Error | null;
+        validate(tableName: string, record: any): SchemaViolation[];
+        validateTable(tableName: string, schema?: Schema): TableValidationReport;
         paginate(tableName: string, page?: number, perPage?: number): PaginationResult<any>;
         raw(tableName: string, filterFn: (row: any) => boolean): any[];
 
@@ -148,9 +483,22 @@ declare module 'rockdex-db' {
 
         // Joins
         join(table1: string, table2: string, key1: string, key2: string): any[];
+        innerJoin(table: string, leftKey: string, rightKey: string): RockdexDB;
+        leftJoin(table: string, leftKey: string, rightKey: string): RockdexDB;
+        rightJoin(table: string, leftKey: string, rightKey: string): RockdexDB;
+        fullJoin(table: string, leftKey: string, rightKey: string): RockdexDB;
 
         // Transactions
-        transaction(callback: (db: RockdexDB) => void): RockdexDB;
+        /**
+         * Waits its turn while another async transaction is open. In browsers,
+         * write through `tx` after the first await: there is no async context
+         * to tie other calls to the transaction.
+         */
+        transaction(callback: (tx: RockdexDB) => Promise<any>): Promise<RockdexDB>;
+        /** Runs immediately; throws INVALID_STATE while another async transaction is open */
+        transaction(callback: (tx: RockdexDB) => void): RockdexDB;
+        savepoint(name?: string): Savepoint;
+        rollbackTo(savepoint: Savepoint | string): RockdexDB;
 
         // Backup/Restore
         backup(): any;
@@ -158,6 +506,12 @@ declare module 'rockdex-db' {
 
         // Statistics
         getStorageStats(): StorageStats;
+
+        // Performance
+        createIndex(tableName: string, field: string | string[], options?: IndexOptions): RockdexDB;
+        explain(tableName: string): ExplainResult;
+        getPerformanceMetrics(): Record<string, any>;
+        benchmark(recordCount?: number): Promise<Record<string, any>>;
     }
 
     export = RockdexDB;
@@ -21,71 +21,259 @@
 }(typeof self !== 'undefined' ? self : this, function () {
     'use strict';
 
+    /**
+     * Load a Node.js core module without exposing it to browser bundlers
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    function nodeRequire(name) {
+        try {
+            if (typeof module === 'object' && module && typeof module.require === 'function') {
+                return module.require(name);
+            }
+        } catch (error) {
+            // Not running in Node.js
+        }
+        return null;
+    }
+
+    // Async context of running transaction callbacks (Node.js), created on first use
+    let transactionContext = null;
+
+    /**
+     * AsyncLocalStorage that follows a transaction callback across its awaits,
+     * or false where async_hooks is unavailable (browsers)
+     * @returns {AsyncLocalStorage|false}
+     */
+    function getTransactionContext() {
+        if (transactionContext === null) {
+            const asyncHooks = nodeRequire('async_hooks');
+            transactionContext = asyncHooks && asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : false;
+        }
+        return transactionContext;
+    }
+
+    // Constructor of `async function` callbacks, which can wait for a busy transaction
+    const AsyncFunction = (async () => {}).constructor;
+
     // ===== PERFORMANCE OPTIMIZATIONS =====
     
+    // Sorts after every other key; bounds "anything with this prefix" in composite index scans
+    const MAX_KEY = Object.freeze({ maxKey: true });
+
+    /**
+     * Total ordering for index keys, including mixed types and composite (array) keys
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    function compareKeys(a, b) {
+        const rankA = keyRank(a);
+        const rankB = keyRank(b);
+        if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+        switch (rankA) {
+            case 0:
+                return 0;
+            case 4:
+                return compareKeys(a.getTime(), b.getTime());
+            case 5:
+                for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                    const result = compareKeys(a[i], b[i]);
+                    if (result !== 0) return result;
+                }
+                return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+            case 6:
+                return compareKeys(JSON.stringify(a), JSON.stringify(b));
+            default:
+                if (a === b || (a !== a && b !== b)) return 0;
+                return a < b ? -1 : 1;
+        }
+    }
+
+    function keyRank(value) {
+        if (value === MAX_KEY) return 7;
+        if (value === null || value === undefined) return 0;
+        if (typeof value === 'boolean') return 1;
+        if (typeof value === 'number') return 2;
+        if (typeof value === 'string') return 3;
+        if (value instanceof Date) return 4;
+        if (Array.isArray(value)) return 5;
+        return 6;
+    }
+
+    // Parsed field paths ('address.city', 'items[0].sku' -> ['items', '0', 'sku'])
+    const pathSegments = new Map();
+
+    /**
+     * Read a field by dot path. Stepping into an array with a non-numeric segment
+     * collects that field from every element ('items.sku' -> ['A1', 'B2']).
+     * @param {Object} record
+     * @param {string} path
+     * @returns {*}
+     */
+    function getPath(record, path) {
+        let segments = pathSegments.get(path);
+        if (!segments) {
+            segments = String(path).replace(/\[(\d+)\]/g, '.$1').split('.');
+            pathSegments.set(path, segments);
+        }
+
+        if (record === null || record === undefined) return undefined;
+        // Plain columns, and keys that really contain a dot, are read directly
+        if (segments.length === 1 || Object.prototype.hasOwnProperty.call(record, path)) {
+            return record[path];
+        }
+        return segments.reduce(readSegment, record);
+    }
+
+    function readSegment(value, segment) {
+        if (value === null || value === undefined) return undefined;
+        if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+            const collected = [];
+            for (const element of value) {
+                const item = readSegment(element, segment);
+                if (Array.isArray(item)) collected.push(...item);
+                else if (item !== undefined) collected.push(item);
+            }
+            return collected;
+        }
+        return value[segment];
+    }
+
+    /**
+     * Whether an array value holds an element equal to item
+     * @param {*} container
+     * @param {*} item
+     * @returns {boolean}
+     */
+    function arrayContains(container, item) {
+        return Array.isArray(container) && container.some(element => compareKeys(element, item) === 0);
+    }
+
+    /**
+     * Map key for matching values by equality (Dates compare by time)
+     * @param {*} value
+     * @returns {*}
+     */
+    function hashKey(value) {
+        return value instanceof Date ? `date:${value.getTime()}` : value;
+    }
+
+    /**
+     * Build an Intl.Collator from a locale string, { locale, ...collatorOptions } or a collator
+     * @param {string|Object|Intl.Collator} collation
+     * @returns {Intl.Collator}
+     */
+    function createCollator(collation) {
+        if (collation instanceof Intl.Collator) return collation;
+        if (typeof collation === 'string') return new Intl.Collator(collation);
+        const { locale, ...options } = collation;
+        return new Intl.Collator(locale, options);
+    }
+
+    /**
+     * Translate a SQL LIKE pattern into an anchored RegExp
+     * (% matches any run of characters, _ exactly one)
+     * @param {string} pattern
+     * @param {string} flags
+     * @returns {RegExp}
+     */
+    function likeToRegExp(pattern, flags = '') {
+        const source = String(pattern).replace(/[.*+?^${}()|[\]\\%_]/g, char => {
+            if (char === '%') return '.*';
+            if (char === '_') return '.';
+            return '\\' + char;
+        });
+        return new RegExp(`^${source}$`, 's' + flags);
+    }
+
+    /**
+     * Literal text before the first LIKE wildcard
+     * @param {string} pattern
+     * @returns {string}
+     */
+    function likePrefix(pattern) {
+        return /^[^%_]*/.exec(String(pattern))[0];
+    }
+
     /**
-     * B-Tree Index for O(log n) lookups - beats IndexedDB linear scans
+     * B+Tree Index for O(log n) lookups - beats IndexedDB linear scans
+     *
+     * Keys live in linked leaves (for ordered and range scans); internal nodes only
+     * hold separators. Each key maps to the list of values (rows) stored under it.
      */
     class BTreeIndex {
-        constructor(degree = 50) {
-            this.degree = degree;
+        constructor(degree = 50, options = {}) {
+            this.degree = Math.max(degree, 3); // Max keys per node
+            this.fields = options.fields || []; // Indexed columns; more than one makes array keys
+            this.multikey = !!options.multikey; // One key per element of an array column
             this.root = null;
-            this.size = 0;
+            this.size = 0; // Number of stored values
+            this.keyCount = 0; // Number of distinct keys
         }
 
         // O(log n) search - much faster than O(n) array scans
         search(key) {
-            return this._searchNode(this.root, key);
-        }
+            const leaf = this._findLeaf(key);
+            if (!leaf) return [];
 
-        _searchNode(node, key) {
-            if (!node) return [];
-            
-            // Binary search within node
-            let left = 0, right = node.keys.length - 1;
-            while (left <= right) {
-                const mid = Math.floor((left + right) / 2);
-                if (node.keys[mid] === key) {
-                    return node.values[mid] || [];
-                } else if (node.keys[mid] < key) {
-                    left = mid + 1;
-            } else {
-                    right = mid - 1;
-                }
-            }
-            
-            // Search children if internal node
-            if (!node.isLeaf && node.children[left]) {
-                return this._searchNode(node.children[left], key);
-            }
-            
-            return [];
+            const position = this._keyPosition(leaf, key);
+            return position.found ? [...leaf.values[position.index]] : [];
         }
 
-        // Optimized range search for complex queries
-        searchRange(minKey, maxKey) {
+        // Optimized range search for complex queries (undefined bound = open ended)
+        searchRange(minKey, maxKey, options = {}) {
             const results = [];
-            this._searchRange(this.root, minKey, maxKey, results);
+            for (const entry of this.entries({ ...options, min: minKey, max: maxKey })) {
+                results.push(...entry.values);
+            }
             return results;
         }
 
-        _searchRange(node, minKey, maxKey, results) {
-            if (!node) return;
-            
-            for (let i = 0; i < node.keys.length; i++) {
-                if (node.keys[i] >= minKey && node.keys[i] <= maxKey) {
-                    results.push(...(node.values[i] || []));
+        // Walk keys in order: { min, max, minInclusive, maxInclusive, reverse }
+        *entries(options = {}) {
+            const { min, max, minInclusive = true, maxInclusive = true, reverse = false } = options;
+            const aboveMin = key => min === undefined || (minInclusive ? compareKeys(key, min) >= 0 : compareKeys(key, min) > 0);
+            const belowMax = key => max === undefined || (maxInclusive ? compareKeys(key, max) <= 0 : compareKeys(key, max) < 0);
+
+            if (!reverse) {
+                let leaf = min === undefined ? this._edgeLeaf(false) : this._findLeaf(min);
+                while (leaf) {
+                    for (let i = 0; i < leaf.keys.length; i++) {
+                        if (!aboveMin(leaf.keys[i])) continue;
+                        if (!belowMax(leaf.keys[i])) return;
+                        yield { key: leaf.keys[i], values: leaf.values[i] };
+                    }
+                    leaf = leaf.next;
                 }
-                
-                if (!node.isLeaf && node.children[i]) {
-                    this._searchRange(node.children[i], minKey, maxKey, results);
+                return;
+            }
+
+            let leaf = max === undefined ? this._edgeLeaf(true) : this._findLeaf(max);
+            while (leaf) {
+                for (let i = leaf.keys.length - 1; i >= 0; i--) {
+                    if (!belowMax(leaf.keys[i])) continue;
+                    if (!aboveMin(leaf.keys[i])) return;
+                    yield { key: leaf.keys[i], values: leaf.values[i] };
                 }
+                leaf = leaf.prev;
             }
         }
 
+        // Count values in a key range, stopping early once cap is reached
+        count(options = {}, cap = Infinity) {
+            let total = 0;
+            for (const entry of this.entries(options)) {
+                total += entry.values.length;
+                if (total >= cap) return cap;
+            }
+            return total;
+        }
+
         // Bulk insert for better performance
         bulkInsert(keyValuePairs) {
-            const sorted = keyValuePairs.sort((a, b) => a.key - b.key);
+            const sorted = [...keyValuePairs].sort((a, b) => compareKeys(a.key, b.key));
             for (const { key, value } of sorted) {
                 this.insert(key, value);
             }
@@ -93,131 +281,307 @@
 
         insert(key, value) {
             if (!this.root) {
-                this.root = { keys: [key], values: [[value]], children: [], isLeaf: true };
-                this.size++;
-                return;
+                this.root = this._createLeaf();
             }
 
-            const result = this._insertNode(this.root, key, value);
-            if (result.split) {
+            const split = this._insertNode(this.root, key, value);
+            if (split) {
                 this.root = {
-                    keys: [result.median],
-                    values: [[]],
-                    children: [this.root, result.right],
-                    isLeaf: false
+                    isLeaf: false,
+                    keys: [split.separator],
+                    children: [this.root, split.right]
                 };
             }
             this.size++;
         }
 
+        // Remove one value stored under key (or every value when value is omitted)
+        delete(key, value) {
+            if (!this.root) return false;
+
+            const removed = this._deleteNode(this.root, key, value, arguments.length < 2);
+            if (!removed) return false;
+
+            // Collapse the root when it runs out of keys
+            if (!this.root.isLeaf && this.root.keys.length === 0) {
+                this.root = this.root.children[0];
+            } else if (this.root.isLeaf && this.root.keys.length === 0) {
+                this.root = null;
+            }
+            return true;
+        }
+
+        clear() {
+            this.root = null;
+            this.size = 0;
+            this.keyCount = 0;
+        }
+
+        _createLeaf() {
+            return { isLeaf: true, keys: [], values: [], next: null, prev: null };
+        }
+
+        // Number of separators <= key, i.e. the child that may hold key
+        _childIndex(node, key) {
+            let left = 0, right = node.keys.length;
+            while (left < right) {
+                const mid = (left + right) >> 1;
+                if (compareKeys(node.keys[mid], key) <= 0) {
+                    left = mid + 1;
+                } else {
+                    right = mid;
+                }
+            }
+            return left;
+        }
+
+        // Binary search within a leaf
+        _keyPosition(leaf, key) {
+            let left = 0, right = leaf.keys.length;
+            while (left < right) {
+                const mid = (left + right) >> 1;
+                if (compareKeys(leaf.keys[mid], key) < 0) {
+                    left = mid + 1;
+                } else {
+                    right = mid;
+                }
+            }
+            return { index: left, found: left < leaf.keys.length && compareKeys(leaf.keys[left], key) === 0 };
+        }
+
+        _findLeaf(key) {
+            let node = this.root;
+            while (node && !node.isLeaf) {
+                node = node.children[this._childIndex(node, key)];
+            }
+            return node;
+        }
+
+        _edgeLeaf(last) {
+            let node = this.root;
+            while (node && !node.isLeaf) {
+                node = node.children[last ? node.children.length - 1 : 0];
+            }
+            return node;
+        }
+
         _insertNode(node, key, value) {
             if (node.isLeaf) {
                 return this._insertLeaf(node, key, value);
             }
             
             // Find child to insert into
-            let childIndex = 0;
-            while (childIndex < node.keys.length && key > node.keys[childIndex]) {
-                childIndex++;
-            }
-            
-            const result = this._insertNode(node.children[childIndex], key, value);
-            if (result.split) {
-                this._insertInternalNode(node, result.median, result.right, childIndex);
-            }
+            const childIndex = this._childIndex(node, key);
+            const split = this._insertNode(node.children[childIndex], key, value);
+            if (!split) return null;
+
+            node.keys.splice(childIndex, 0, split.separator);
+            node.children.splice(childIndex + 1, 0, split.right);
             
-            return { split: false };
+            return node.keys.length > this.degree ? this._splitInternal(node) : null;
         }
 
         _insertLeaf(node, key, value) {
-            // Find insertion point
-            let insertIndex = 0;
-            while (insertIndex < node.keys.length && key > node.keys[insertIndex]) {
-                insertIndex++;
-            }
+            const position = this._keyPosition(node, key);
             
             // If key exists, append to values array
-            if (insertIndex < node.keys.length && node.keys[insertIndex] === key) {
-                node.values[insertIndex].push(value);
-                return { split: false };
+            if (position.found) {
+                node.values[position.index].push(value);
+                return null;
             }
             
             // Insert new key-value pair
-            node.keys.splice(insertIndex, 0, key);
-            node.values.splice(insertIndex, 0, [value]);
-            
-            // Check if node needs splitting
-            if (node.keys.length > this.degree) {
-                return this._splitLeaf(node);
-            }
+            node.keys.splice(position.index, 0, key);
+            node.values.splice(position.index, 0, [value]);
+            this.keyCount++;
             
-            return { split: false };
+            return node.keys.length > this.degree ? this._splitLeaf(node) : null;
         }
 
         _splitLeaf(node) {
             const midIndex = Math.floor(node.keys.length / 2);
-            const median = node.keys[midIndex];
+            const right = this._createLeaf();
+            right.keys = node.keys.splice(midIndex);
+            right.values = node.values.splice(midIndex);
+
+            // Keep the leaf chain intact
+            right.next = node.next;
+            right.prev = node;
+            if (node.next) node.next.prev = right;
+            node.next = right;
             
-            const rightNode = {
-                keys: node.keys.splice(midIndex),
-                values: node.values.splice(midIndex),
-                children: [],
-                isLeaf: true
+            return { separator: right.keys[0], right };
+        }
+
+        _splitInternal(node) {
+            const midIndex = Math.floor(node.keys.length / 2);
+            const separator = node.keys[midIndex];
+            const right = {
+                isLeaf: false,
+                keys: node.keys.splice(midIndex + 1),
+                children: node.children.splice(midIndex + 1)
             };
+            node.keys.pop(); // The separator moves up
             
-            return { split: true, median, right: rightNode };
+            return { separator, right };
+        }
+
+        _deleteNode(node, key, value, removeAll) {
+            if (node.isLeaf) {
+                const position = this._keyPosition(node, key);
+                if (!position.found) return false;
+
+                const values = node.values[position.index];
+                if (removeAll) {
+                    this.size -= values.length;
+                    values.length = 0;
+                } else {
+                    const valueIndex = values.indexOf(value);
+                    if (valueIndex === -1) return false;
+                    values.splice(valueIndex, 1);
+                    this.size--;
+                }
+
+                if (values.length === 0) {
+                    node.keys.splice(position.index, 1);
+                    node.values.splice(position.index, 1);
+                    this.keyCount--;
+                }
+                return true;
+            }
+
+            const childIndex = this._childIndex(node, key);
+            const removed = this._deleteNode(node.children[childIndex], key, value, removeAll);
+            if (removed) {
+                this._rebalanceChild(node, childIndex);
+            }
+            return removed;
         }
 
-        _insertInternalNode(node, key, rightChild, childIndex) {
-            node.keys.splice(childIndex, 0, key);
-            node.values.splice(childIndex, 0, []);
-            node.children.splice(childIndex + 1, 0, rightChild);
+        // Borrow from or merge with a sibling when a child drops below half full
+        _rebalanceChild(parent, childIndex) {
+            const minKeys = Math.floor(this.degree / 2);
+            const child = parent.children[childIndex];
+            if (child.keys.length >= minKeys) return;
+
+            const left = childIndex > 0 ? parent.children[childIndex - 1] : null;
+            const right = childIndex < parent.children.length - 1 ? parent.children[childIndex + 1] : null;
+
+            if (child.isLeaf) {
+                if (left && left.keys.length > minKeys) {
+                    child.keys.unshift(left.keys.pop());
+                    child.values.unshift(left.values.pop());
+                    parent.keys[childIndex - 1] = child.keys[0];
+                } else if (right && right.keys.length > minKeys) {
+                    child.keys.push(right.keys.shift());
+                    child.values.push(right.values.shift());
+                    parent.keys[childIndex] = right.keys[0];
+                } else if (left) {
+                    this._mergeLeaves(parent, childIndex - 1);
+                } else if (right) {
+                    this._mergeLeaves(parent, childIndex);
+                }
+                return;
+            }
+
+            if (left && left.keys.length > minKeys) {
+                child.keys.unshift(parent.keys[childIndex - 1]);
+                child.children.unshift(left.children.pop());
+                parent.keys[childIndex - 1] = left.keys.pop();
+            } else if (right && right.keys.length > minKeys) {
+                child.keys.push(parent.keys[childIndex]);
+                child.children.push(right.children.shift());
+                parent.keys[childIndex] = right.keys.shift();
+            } else if (left) {
+                this._mergeInternal(parent, childIndex - 1);
+            } else if (right) {
+                this._mergeInternal(parent, childIndex);
             }
         }
 
+        // Merge parent.children[index + 1] into parent.children[index]
+        _mergeLeaves(parent, index) {
+            const left = parent.children[index];
+            const right = parent.children[index + 1];
+            left.keys.push(...right.keys);
+            left.values.push(...right.values);
+            left.next = right.next;
+            if (right.next) right.next.prev = left;
+
+            parent.keys.splice(index, 1);
+            parent.children.splice(index + 1, 1);
+        }
+
+        _mergeInternal(parent, index) {
+            const left = parent.children[index];
+            const right = parent.children[index + 1];
+            left.keys.push(parent.keys[index], ...right.keys);
+            left.children.push(...right.children);
+
+            parent.keys.splice(index, 1);
+            parent.children.splice(index + 1, 1);
+        }
+    }
+
         /**
-     * High-Performance Storage Engine with Chunking
+     * High-Performance Storage Engine with Chunking. At most maxMemoryChunks
+     * chunks are resident; in Node.js the least recently used ones are paged out
+     * to chunk files and read back when a scan reaches them. Chunks are a
+     * snapshot of the rows handed to loadTable.
      */
     class OptimizedStorage {
         constructor(options = {}) {
             this.chunkSize = options.chunkSize || 10000; // 10K records per chunk
             this.maxMemoryChunks = options.maxMemoryChunks || 5; // Keep 5 chunks in RAM
             this.compressionEnabled = options.compression !== false;
+            this.chunkPath = options.chunkPath || null; // Directory for evicted chunks (temp dir by default)
             
             // Storage maps
             this.chunks = new Map(); // Active chunks in memory
             this.chunkIndex = new Map(); // tableName -> chunk metadata
             this.accessTimes = new Map(); // LRU tracking
+            this.spilledChunks = new Map(); // chunkKey -> file path of evicted chunk
+            this.accessCounter = 0;
         }
 
         // Load table with intelligent chunking
         loadTable(tableName, data) {
-            if (data.length <= this.chunkSize) {
-                // Small table - keep entirely in memory
-                this.chunks.set(`${tableName}_0`, data);
-                this.chunkIndex.set(tableName, [{ id: 0, size: data.length, range: [0, data.length - 1] }]);
-                return;
-            }
+            this.unloadTable(tableName);
 
-            // Large table - chunk it
             const chunks = [];
+            this.chunkIndex.set(tableName, chunks);
             for (let i = 0; i < data.length; i += this.chunkSize) {
-                const chunkId = Math.floor(i / this.chunkSize);
+                const chunkId = chunks.length;
                 const chunk = data.slice(i, i + this.chunkSize);
-                
-                // Keep first few chunks in memory
-                if (chunkId < this.maxMemoryChunks) {
-                    this.chunks.set(`${tableName}_${chunkId}`, chunk);
-                }
-                
+
                 chunks.push({
                     id: chunkId,
                     size: chunk.length,
-                    range: [i, Math.min(i + this.chunkSize - 1, data.length - 1)]
+                    range: [i, i + chunk.length - 1]
                 });
+
+                // Older chunks spill to disk once the memory budget is used up
+                this.storeChunk(tableName, chunkId, chunk);
             }
-            
-            this.chunkIndex.set(tableName, chunks);
+        }
+
+        // Forget a table's chunks, both in memory and on disk
+        unloadTable(tableName) {
+            for (const meta of this.chunkIndex.get(tableName) || []) {
+                const chunkKey = `${tableName}_${meta.id}`;
+                this.chunks.delete(chunkKey);
+                this.accessTimes.delete(chunkKey);
+
+                if (this.spilledChunks.has(chunkKey)) {
+                    try {
+                        nodeRequire('fs').unlinkSync(this.spilledChunks.get(chunkKey));
+                    } catch (error) {
+                        // Already removed
+                    }
+                    this.spilledChunks.delete(chunkKey);
+                }
+            }
+            this.chunkIndex.delete(tableName);
         }
 
         // Stream records matching conditions (lazy loading)
@@ -225,56 +589,130 @@
             const chunkMetadata = this.chunkIndex.get(tableName) || [];
             
             for (const meta of chunkMetadata) {
-                const chunk = this.getChunk(tableName, meta.id);
-                
-                for (const record of chunk) {
+                for (const record of this.getChunk(tableName, meta.id)) {
                     if (this.matchesConditions(record, conditions)) {
                         yield record;
                     }
                 }
-                
-                // Unload chunk if memory pressure
-                this.maybeUnloadChunk(tableName, meta.id);
             }
         }
 
         getChunk(tableName, chunkId) {
             const chunkKey = `${tableName}_${chunkId}`;
-            this.accessTimes.set(chunkKey, Date.now());
             
             if (this.chunks.has(chunkKey)) {
+                this.accessTimes.set(chunkKey, ++this.accessCounter);
                 return this.chunks.get(chunkKey);
             }
             
-            // Would load from storage in real implementation
-            // For now, return empty array
+            // Page the chunk back in from its spill file
+            if (this.spilledChunks.has(chunkKey)) {
+                const chunk = JSON.parse(nodeRequire('fs').readFileSync(this.spilledChunks.get(chunkKey), 'utf8'));
+                this.storeChunk(tableName, chunkId, chunk);
+                return chunk;
+            }
+
             return [];
         }
 
+        // Make a chunk resident, evicting least recently used chunks over budget
+        storeChunk(tableName, chunkId, chunk) {
+            const chunkKey = `${tableName}_${chunkId}`;
+            this.chunks.set(chunkKey, chunk);
+            this.accessTimes.set(chunkKey, ++this.accessCounter);
+            this.maybeUnloadChunk(tableName, chunkId);
+        }
+
         maybeUnloadChunk(tableName, chunkId) {
             const chunkKey = `${tableName}_${chunkId}`;
             
-            // Simple LRU eviction if too many chunks in memory
-            if (this.chunks.size > this.maxMemoryChunks * 2) {
-                const oldestAccess = Math.min(...this.accessTimes.values());
-                const oldestKey = [...this.accessTimes.entries()]
-                    .find(([key, time]) => time === oldestAccess)?.[0];
-                
-                if (oldestKey && oldestKey !== chunkKey) {
-                    this.chunks.delete(oldestKey);
-                    this.accessTimes.delete(oldestKey);
+            // LRU eviction while too many chunks are in memory
+            while (this.chunks.size > this.maxMemoryChunks) {
+                let oldestKey = null;
+                let oldestAccess = Infinity;
+                for (const [key, time] of this.accessTimes) {
+                    if (key !== chunkKey && time < oldestAccess) {
+                        oldestAccess = time;
+                        oldestKey = key;
+                    }
                 }
+                
+                // Without a file system (browsers) chunks have nowhere to go
+                if (!oldestKey || !this.spillChunk(oldestKey)) break;
+
+                this.chunks.delete(oldestKey);
+                this.accessTimes.delete(oldestKey);
+            }
+        }
+
+        // Write an evicted chunk to disk; chunks never change once loaded, so this happens once
+        spillChunk(chunkKey) {
+            if (this.spilledChunks.has(chunkKey)) return true;
+
+            const directory = this.getChunkDirectory();
+            if (!directory) return false;
+
+            const filePath = nodeRequire('path').join(directory, `${encodeURIComponent(chunkKey)}.chunk`);
+            nodeRequire('fs').writeFileSync(filePath, JSON.stringify(this.chunks.get(chunkKey)));
+            this.spilledChunks.set(chunkKey, filePath);
+            return true;
+        }
+
+        getChunkDirectory() {
+            const fs = nodeRequire('fs');
+            if (!fs) return null;
+
+            if (!this.chunkPath) {
+                const os = nodeRequire('os');
+                const path = nodeRequire('path');
+                this.chunkPath = fs.mkdtempSync(path.join(os.tmpdir(), 'rockdex-chunks-'));
+                removeOnExit(this.chunkPath);
+            } else {
+                fs.mkdirSync(this.chunkPath, { recursive: true });
+            }
+            return this.chunkPath;
+        }
+
+        // Chunk counts across all loaded tables
+        getStats() {
+            let total = 0;
+            for (const chunks of this.chunkIndex.values()) {
+                total += chunks.length;
             }
+            return { total, resident: this.chunks.size, paged: total - this.chunks.size };
         }
 
         matchesConditions(record, conditions) {
             for (const [field, value] of Object.entries(conditions)) {
-                if (record[field] !== value) return false;
+                if (getPath(record, field) !== value) return false;
             }
             return true;
             }
         }
 
+    // Temporary chunk directories created by this process
+    const temporaryDirectories = new Set();
+
+    /**
+     * Delete a temporary chunk directory when the process exits
+     * @param {string} directory
+     */
+    function removeOnExit(directory) {
+        if (temporaryDirectories.size === 0 && typeof process !== 'undefined' && process.once) {
+            process.once('exit', () => {
+                const fs = nodeRequire('fs');
+                for (const dir of temporaryDirectories) {
+                    try {
+                        fs.rmSync ? fs.rmSync(dir, { recursive: true, force: true }) : fs.rmdirSync(dir, { recursive: true });
+                    } catch (error) {
+                        // Best effort cleanup
+                    }
+                }
+            });
+        }
+        temporaryDirectories.add(directory);
+    }
+
         /**
      * Async Query Engine for non-blocking operations
      */
@@ -355,16 +793,19 @@
      * Write-Ahead Logging for incremental persistence
      */
     class WriteAheadLog {
-        constructor(tableName) {
+        constructor(tableName, filePath = null) {
             this.tableName = tableName;
+            this.filePath = filePath; // Append-only log file (Node.js file mode)
             this.pendingWrites = [];
             this.flushThreshold = 1000;
             this.lastFlush = Date.now();
             this.autoFlushInterval = 30000; // 30 seconds
+            this.sequence = 0; // Last sequence number handed out
         }
 
         logOperation(operation, record, oldRecord = null) {
             const logEntry = {
+                seq: ++this.sequence,
                 timestamp: Date.now(),
                 operation, // 'INSERT', 'UPDATE', 'DELETE'
                 record: { ...record },
@@ -382,67 +823,312 @@
         }
 
         async asyncFlush() {
-            if (this.pendingWrites.length === 0) return;
+            return this.flush();
+        }
+
+        // Append pending entries to the log file and fsync it; entries are durable once this returns
+        flush() {
+            if (this.pendingWrites.length === 0) return [];
             
             const writes = this.pendingWrites.splice(0);
             this.lastFlush = Date.now();
             
-            // In a real implementation, this would write to storage
-            // For now, we'll just track the operations
+            if (this.filePath) {
+                const fs = nodeRequire('fs');
+                fs.mkdirSync(nodeRequire('path').dirname(this.filePath), { recursive: true });
+                const fd = fs.openSync(this.filePath, 'a');
+                try {
+                    fs.writeSync(fd, writes.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+                    fs.fsyncSync(fd);
+                } finally {
+                    fs.closeSync(fd);
+                }
+            }
             return writes;
         }
 
+        // Read logged entries newer than the given sequence number
+        readEntries(afterSequence = 0) {
+            const fs = nodeRequire('fs');
+            if (!this.filePath || !fs || !fs.existsSync(this.filePath)) return [];
+
+            const entries = [];
+            for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    // Torn write from a crash - nothing after it was acknowledged
+                    break;
+                }
+            }
+
+            for (const entry of entries) {
+                this.sequence = Math.max(this.sequence, entry.seq || 0);
+            }
+            return entries.filter(entry => entry.seq > afterSequence);
+        }
+
+        // Discard logged entries once a snapshot covers them
+        checkpoint() {
+            this.pendingWrites = [];
+            if (this.filePath && nodeRequire('fs').existsSync(this.filePath)) {
+                nodeRequire('fs').writeFileSync(this.filePath, '');
+            }
+        }
+
         // Get recent operations for rollback
         getRecentOperations(count = 100) {
             return this.pendingWrites.slice(-count);
         }
     }
 
-    class RockdexDB {
+    /**
+     * Base class of the errors RockdexDB throws; `code` is stable across releases
+     */
+    class RockdexError extends Error {
+        constructor(message, code = 'ROCKDEX_ERROR', details = {}) {
+            super(message);
+            this.name = 'RockdexError';
+            this.code = code;
+            this.table = details.table;
+        }
+    }
 
-        constructor(config = {}) {
-            // Storage configuration
-            this._storageMode = config.storageMode || 'memory'; // 'memory', 'file'
-            this._storagePath = config.storagePath || './'; // Database folder path
-            this._storageTable = config.storageTable || []; // Manual table files ['table1.rdb', 'table2.rdb']
-            this._defaultData = config.defaultData || {};
-            
-            // PERFORMANCE OPTIMIZATIONS
-            this._optimizedStorage = new OptimizedStorage({
-                chunkSize: config.chunkSize || 10000,
-                maxMemoryChunks: config.maxMemoryChunks || 5,
-                compression: config.compression !== false
-            });
-            this._asyncEngine = new AsyncQueryEngine();
-            this._indexes = new Map(); // tableName -> field -> BTreeIndex
-            this._walLogs = new Map(); // tableName -> WriteAheadLog
-            this._performanceEnabled = config.performance !== false;
-            this._autoIndex = config.autoIndex !== false; // Auto-create indexes
-            
-            // Core data structures
-            this._tables = new Map();
-            this._triggers = new Map();
-            this._schemas = new Map();
-            this._relationships = new Map();
-            
-            // Environment detection
-            this._isNode = typeof window === 'undefined' && typeof global !== 'undefined';
-            this._isBrowser = typeof window !== 'undefined';
-            
-            // Query state
-            this._whereConditions = [];
-            this._operator = 'AND';
-            this._orderBy = null;
-            this._limit = null;
-            this._offset = 0;
-            this._searchConditions = [];
-            
-            // Configuration
-            this._logger = config.logging || false;
-            this._timestamps = config.timestamps || false;
-            this._softDelete = config.softDelete || false;
-            this._lastError = null;
-            this._lastInsertId = null;
+    /**
+     * Raised when an operation names a table that does not exist
+     */
+    class TableNotFoundError extends RockdexError {
+        constructor(tableName) {
+            super(`Table '${tableName}' does not exist`, 'TABLE_NOT_FOUND', { table: tableName });
+            this.name = 'TableNotFoundError';
+        }
+    }
+
+    /**
+     * Raised when a record breaks a schema rule. field/rule describe the first
+     * violation, `violations` lists all of the record's, and `rows` holds the
+     * per-row report when a whole table failed validation.
+     */
+    class SchemaValidationError extends RockdexError {
+        constructor(message, details = {}) {
+            super(message, 'SCHEMA_VALIDATION', details);
+            this.name = 'SchemaValidationError';
+            this.field = details.field;
+            this.rule = details.rule;
+            this.expected = details.expected;
+            this.actual = details.actual;
+            this.violations = details.violations || [];
+            this.rows = details.rows;
+        }
+    }
+
+    /**
+     * Raised when a write would break a unique or foreign key constraint
+     */
+    class ConstraintViolationError extends RockdexError {
+        constructor(message, details = {}) {
+            super(message, 'CONSTRAINT_VIOLATION', details);
+            this.name = 'ConstraintViolationError';
+            this.constraint = details.constraint;
+            this.fields = details.fields;
+            this.value = details.value;
+        }
+    }
+
+    /**
+     * Raised when a trigger cancels an operation
+     */
+    class TriggerAbortError extends RockdexError {
+        constructor(message, details = {}) {
+            super(message, 'TRIGGER_ABORT', details);
+            this.name = 'TriggerAbortError';
+            this.operation = details.operation;
+        }
+    }
+
+    /**
+     * Raised when imported data (JSON, .rdb files, backups) is malformed
+     */
+    class ImportFormatError extends RockdexError {
+        constructor(message, details = {}) {
+            super(message, 'IMPORT_FORMAT', details);
+            this.name = 'ImportFormatError';
+            this.cause = details.cause;
+        }
+    }
+
+    /**
+     * Actions a relation can take on child rows when the parent is deleted or rekeyed
+     */
+    const REFERENTIAL_ACTIONS = ['cascade', 'setNull', 'restrict'];
+
+    /**
+     * ISO 8601 date or date-time, also accepting a space before the time
+     */
+    const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+    /**
+     * Schema types that typeof cannot express; any other type is compared with typeof
+     */
+    const SCHEMA_TYPES = {
+        integer: value => Number.isInteger(value),
+        date: value => value instanceof Date
+            ? !Number.isNaN(value.getTime())
+            : typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value)),
+        array: value => Array.isArray(value),
+        object: value => typeof value === 'object' && !Array.isArray(value)
+    };
+
+    /**
+     * Reducers behind groupBy().aggregate(); null and missing values are skipped
+     */
+    const AGGREGATE_REDUCERS = {
+        count: { init: () => 0, step: total => total + 1, result: total => total },
+        sum: { init: () => 0, step: (total, value) => total + value, result: total => total },
+        avg: {
+            init: () => ({ total: 0, count: 0 }),
+            step: (state, value) => ({ total: state.total + value, count: state.count + 1 }),
+            result: state => state.count > 0 ? state.total / state.count : null
+        },
+        min: { init: () => null, step: (min, value) => min === null || compareKeys(value, min) < 0 ? value : min, result: min => min },
+        max: { init: () => null, step: (max, value) => max === null || compareKeys(value, max) > 0 ? value : max, result: max => max }
+    };
+
+    /**
+     * Aggregate specs for groupBy().aggregate(), exposed as RockdexDB.aggregates.
+     * count() counts rows; count(field) counts rows where the field is set.
+     */
+    const aggregates = Object.freeze({
+        count: field => ({ aggregate: 'count', field }),
+        sum: field => ({ aggregate: 'sum', field }),
+        avg: field => ({ aggregate: 'avg', field }),
+        min: field => ({ aggregate: 'min', field }),
+        max: field => ({ aggregate: 'max', field })
+    });
+
+    /**
+     * Immutable query over one table, created by db.table() / db.query()
+     *
+     * Builder methods return a new Query and leave this one untouched, so a
+     * query can be shared, extended in several directions and run any number
+     * of times. Running it never reads or disturbs the database's own chain.
+     */
+    class Query {
+        constructor(db, tableName, state = null) {
+            this._db = db;
+            this._state = state; // Builder state as taken by _takeQueryState; null when empty
+            this.tableName = tableName;
+            Object.freeze(this);
+        }
+
+        /**
+         * Start a grouped aggregation (the builder form of groupBy)
+         * @param {string|string[]} columns
+         * @returns {Query}
+         */
+        groupBy(columns) {
+            return this._derive(db => db.groupBy(columns));
+        }
+
+        /**
+         * New query with a builder call applied on top of this one's state
+         * @private
+         */
+        _derive(build) {
+            return new Query(this._db, this.tableName, this._db._runQuery(this._state, db => {
+                build(db);
+                return db._takeQueryState();
+            }));
+        }
+    }
+
+    // Builder methods return a new Query; terminal methods run it against its table
+    const QUERY_BUILDERS = [
+        'where', 'orWhere', 'whereOperator', 'orWhereOperator', 'whereGroup', 'orWhereGroup',
+        'whereIn', 'whereNotIn', 'whereBetween', 'whereNull', 'whereNotNull', 'whereLike',
+        'whereContains', 'whereContainsAny', 'whereContainsAll', 'search', 'select', 'orderBy',
+        'limit', 'aggregate', 'having', 'innerJoin', 'leftJoin', 'rightJoin', 'fullJoin', 'with'
+    ];
+    const QUERY_TERMINALS = [
+        'get', 'getOne', 'count', 'distinct', 'avg', 'sum', 'min', 'max', 'paginate',
+        'toJSON', 'stream', 'cursor', 'explain', 'update', 'delete'
+    ];
+
+    for (const method of QUERY_BUILDERS) {
+        Query.prototype[method] = function (...args) {
+            return this._derive(db => db[method](...args));
+        };
+    }
+    for (const method of QUERY_TERMINALS) {
+        Query.prototype[method] = function (...args) {
+            return this._db._runQuery(this._state, db => db[method](this.tableName, ...args));
+        };
+    }
+
+    class RockdexDB {
+
+        constructor(config = {}) {
+            // Storage configuration
+            this._storageMode = config.storageMode || 'memory'; // 'memory', 'file'
+            this._storagePath = config.storagePath || './'; // Database folder path
+            this._storageTable = config.storageTable || []; // Manual table files ['table1.rdb', 'table2.rdb']
+            this._defaultData = config.defaultData || {};
+            this._persistDelay = config.persistDelay !== undefined ? config.persistDelay : 100; // ms before dirty tables are written
+            this._tableFiles = new Map(); // tableName -> .rdb file name (file mode)
+            this._dirtyTables = new Set();
+            this._persistTimer = null;
+
+            // PERFORMANCE OPTIMIZATIONS
+            this._optimizedStorage = new OptimizedStorage({
+                chunkSize: config.chunkSize || 10000,
+                maxMemoryChunks: config.maxMemoryChunks || 5,
+                chunkPath: config.chunkPath || null,
+                compression: config.compression !== false
+            });
+            this._asyncEngine = new AsyncQueryEngine();
+            this._indexes = new Map(); // tableName -> field -> BTreeIndex
+            this._walLogs = new Map(); // tableName -> WriteAheadLog
+            this._performanceEnabled = config.performance !== false;
+            this._autoIndex = config.autoIndex !== false; // Auto-create indexes
+            
+            // Core data structures
+            this._tables = new Map();
+            this._triggers = new Map();
+            this._schemas = new Map();
+            this._relationships = new Map();
+            this._pendingDeletes = new Set();
+            this._writeCount = 0; // Bumped by every change to table contents, so long writes can tell another writer ran
+            this._transaction = null; // Transaction entered by the code running synchronously right now
+            this._openTransactions = new Set(); // Outermost transactions not yet committed or rolled back
+            this._transactionTail = null; // Settles when queued async transactions are done
+            this._queuedTransactions = 0; // Async transactions waiting for their turn
+            
+            // Environment detection
+            this._isNode = typeof window === 'undefined' && typeof global !== 'undefined';
+            this._isBrowser = typeof window !== 'undefined';
+            
+            // Query state
+            this._whereConditions = [];
+            this._operator = 'AND';
+            this._orderBy = [];
+            this._limit = null;
+            this._offset = 0;
+            this._searchConditions = [];
+            this._select = null;
+            this._groupBy = null;
+            this._aggregates = null;
+            this._having = [];
+            this._joins = [];
+            this._with = new Map();
+            
+            // Configuration
+            this._logger = config.logging || false;
+            this._timestamps = config.timestamps || false;
+            this._softDelete = config.softDelete || false;
+            this._collator = config.collation ? createCollator(config.collation) : null; // Locale-aware string ordering
+            this._lastError = null;
+            this._lastInsertId = null;
 
             // Performance metrics
             this._metrics = {
@@ -454,6 +1140,8 @@
 
             // Initialize storage
             this._storageReady = this._initializeStorage();
+            // Failures are reported through ready(); avoid unhandled rejections when it is never awaited
+            this._storageReady.catch(() => {});
         }
 
         /**
@@ -499,223 +1187,571 @@
                 return;
             }
 
-                // Initialize empty tables for each configured table file
+                // Load each configured table file (or start empty when it has no content yet)
                 for (const tableFile of this._storageTable) {
                     const tableName = this._extractTableName(tableFile);
-                    
-                    // Initialize empty table in memory
-                    this._tables.set(tableName, []);
-                    
-                    this._log('table_initialized', { 
-                        tableName, 
+                    this._tableFiles.set(tableName, tableFile);
+
+                    const content = this._readTableFile(tableName);
+                    const tableData = content
+                        ? this._parseTableFile(content, tableName)
+                        : { rows: [], schema: null, walSequence: 0 };
+
+                    // Replay acknowledged writes that never made it into the snapshot
+                    const wal = new WriteAheadLog(tableName, this._isPersistent(tableName) ? this._walFilePath(tableName) : null);
+                    wal.sequence = tableData.walSequence;
+                    const pending = wal.readEntries(tableData.walSequence);
+                    this._replayWal(tableData.rows, pending);
+                    this._walLogs.set(tableName, wal);
+
+                    this._loadTable(tableName, tableData.rows, tableData.schema);
+
+                    if (pending.length > 0) {
+                        this._checkpoint(tableName);
+                        this._log('wal_replayed', { tableName, entries: pending.length });
+                    }
+
+                    this._log('table_initialized', {
+                        tableName,
                         tableFile,
-                        storagePath: this._storagePath 
+                        storagePath: this._storagePath,
+                        recordCount: this._tables.get(tableName).length
                     });
                 }
 
             } catch (error) {
                 this._lastError = error;
                 this._log('manual_table_init_error', { error: error.message });
+                throw error;
             }
         }
 
         /**
-         * Extract table name from file name
-         * @param {string} tableFile 
-         * @returns {string}
+         * Put loaded rows in place without marking the table as changed
+         * @param {string} tableName
+         * @param {Array} rows
+         * @param {Object|null} schema
          * @private
          */
-        _extractTableName(tableFile) {
-            return tableFile.replace(/\.rdb$/, '');
+        _loadTable(tableName, rows, schema = null) {
+            this._tables.set(tableName, rows);
+            if (schema) {
+                this._schemas.set(tableName, schema);
+            }
+            this._initTablePerformance(tableName, rows, schema);
+            this._createUniqueIndexes(tableName, schema);
         }
 
         /**
-         * Generate secure ID 
-         * @returns {string}
+         * Set up WAL, chunked storage and indexes for a populated table
+         * @param {string} tableName
+         * @param {Array} data
+         * @param {Object|null} schema
          * @private
          */
-        _generateSecureId() {
-                    const timestamp = Date.now().toString(36);
-            const random = Math.random().toString(36).substr(2, 9);
-            return `${timestamp}-${random}`.substring(0, 16);
+        _initTablePerformance(tableName, data, schema) {
+            if (!this._performanceEnabled || data.length === 0) return;
+
+            // Initialize WAL if not exists
+            if (!this._walLogs.has(tableName)) {
+                this._walLogs.set(tableName, new WriteAheadLog(tableName));
+            }
+
+            // Load into optimized storage for chunking
+            this._optimizedStorage.loadTable(tableName, data);
+
+            // Auto-create indexes if schema provided
+            if (schema) {
+                this._autoCreateIndexes(tableName, schema);
+            } else {
+                // Create basic ID index for better performance
+                this.createIndex(tableName, 'id');
+            }
         }
 
         /**
-         * Download table data as .rdb file (Browser only)
+         * Check whether a table is backed by a .rdb file on disk
          * @param {string} tableName
+         * @returns {boolean}
          * @private
          */
-        _downloadTableFile(tableName) {
-            if (!this._isBrowser) {
-                throw new Error('Download only available in browser');
-            }
-
-            const tableData = {
-                [tableName]: {
-                rows: this._tables.get(tableName) || [],
-                schema: this._schemas.get(tableName) || null,
-                metadata: {
-                    lastModified: new Date().toISOString(),
-                        recordCount: (this._tables.get(tableName) || []).length,
-                        version: '1.0.0'
-                    }
-                }
-            };
-
-            const jsonData = JSON.stringify(tableData, null, 2);
-            
-            const blob = new Blob([jsonData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${tableName}.rdb`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this._log('table_downloaded', { tableName, fileName: `${tableName}.rdb` });
+        _isPersistent(tableName) {
+            return this._storageMode === 'file' && this._tableFiles.has(tableName) && !!nodeRequire('fs');
         }
 
         /**
-         * Export table data as JSON string
+         * Absolute path of a table's .rdb file
          * @param {string} tableName
          * @returns {string}
          * @private
          */
-        _exportTableData(tableName) {
-            const tableData = {
-                [tableName]: {
-                    rows: this._tables.get(tableName) || [],
-                    schema: this._schemas.get(tableName) || null,
-                    metadata: {
-                        lastModified: new Date().toISOString(),
-                        recordCount: (this._tables.get(tableName) || []).length,
-                        version: '1.0.0'
-                    }
-                }
-            };
+        _tableFilePath(tableName) {
+            return nodeRequire('path').resolve(this._storagePath, this._tableFiles.get(tableName));
+        }
 
-            return JSON.stringify(tableData, null, 2);
+        /**
+         * Read a table's .rdb file, returning null if it does not exist or is empty
+         * @param {string} tableName
+         * @returns {string|null}
+         * @private
+         */
+        _readTableFile(tableName) {
+            if (!this._isPersistent(tableName)) return null;
+
+            const fs = nodeRequire('fs');
+            const filePath = this._tableFilePath(tableName);
+            if (!fs.existsSync(filePath)) return null;
+
+            const content = fs.readFileSync(filePath, 'utf8');
+            return content.trim() ? content : null;
         }
 
         /**
-         * Import table data from JSON string
-         * @param {string} jsonData
+         * Parse .rdb file content in the format produced by _exportTableData
+         * @param {string} content
          * @param {string} tableName
+         * @returns {{rows: Array, schema: Object|null}}
          * @private
          */
-        _importTableData(jsonData, tableName) {
+        _parseTableFile(content, tableName) {
+            let data;
             try {
-                const data = JSON.parse(jsonData);
-                
-                if (data[tableName]) {
-                    this._tables.set(tableName, data[tableName].rows || []);
-                    if (data[tableName].schema) {
-                        this._schemas.set(tableName, data[tableName].schema);
-                    }
-                    this._log('table_imported', { tableName, recordCount: data[tableName].rows?.length || 0 });
-            } else {
-                    throw new Error(`Table '${tableName}' not found in data`);
-                }
-                } catch (error) {
-                    this._lastError = error;
-                throw new Error(`Failed to import table data: ${error.message}`);
+                data = JSON.parse(content);
+            } catch (error) {
+                throw this._fail(new ImportFormatError(`Failed to read table file for '${tableName}': ${error.message}`, { table: tableName, cause: error }));
+            }
+
+            if (!data || !data[tableName]) {
+                throw this._fail(new ImportFormatError(`Table '${tableName}' not found in table file`, { table: tableName }));
             }
+
+            return {
+                rows: Array.isArray(data[tableName].rows) ? data[tableName].rows : [],
+                schema: data[tableName].schema || null,
+                walSequence: (data[tableName].metadata && data[tableName].metadata.walSequence) || 0
+            };
         }
 
         /**
-         * Enable or disable logging
-         * @param {boolean|function} enable
-         * @returns {RockdexDB}
+         * Path of a table's write-ahead log file
+         * @param {string} tableName
+         * @returns {string}
+         * @private
          */
-        setLogging(enable) {
-            this._logger = enable;
-            return this;
+        _walFilePath(tableName) {
+            return this._tableFilePath(tableName).replace(/\.rdb$/, '') + '.wal';
         }
 
         /**
-         * Log an operation if logging is enabled
-         * @param {string} operation
-         * @param {Object} details
+         * Apply logged operations to a table's rows
+         * @param {Array} rows
+         * @param {Array} entries
          * @private
          */
-        _log(operation, details) {
-            if (typeof this._logger === 'function') {
-                this._logger(`[${new Date().toISOString()}] ${operation}: ${JSON.stringify(details)}`);
-            }
-            else if (this._logger) {
-                console.log(`[${new Date().toISOString()}] ${operation}:`, details);
+        _replayWal(rows, entries) {
+            for (const entry of entries) {
+                if (entry.operation === 'INSERT') {
+                    rows.push(entry.record);
+                    continue;
+                }
+
+                const target = entry.operation === 'DELETE' ? entry.record : entry.oldRecord;
+                const rowIndex = this._findRowIndex(rows, target);
+                if (rowIndex === -1) continue;
+
+                if (entry.operation === 'UPDATE') {
+                    rows[rowIndex] = entry.record;
+                } else if (entry.operation === 'DELETE') {
+                    rows.splice(rowIndex, 1);
+                }
             }
         }
 
         /**
-         * Fire triggers
-         * @param {string} tableName
-         * @param {string} operation
-         * @param {Object} OLD
-         * @param {Object} NEW
-         * @returns {boolean}
+         * Locate a row by id, falling back to an exact content match
+         * @param {Array} rows
+         * @param {Object} record
+         * @returns {number}
          * @private
          */
-        _trigger(tableName, operation, OLD = null, NEW = null) {
-            let shouldCommit = true;
-            for (const [triggerName, trigger] of (this._triggers.get(tableName)?.entries() || [])) {
-                try {
-                    if (trigger({ operation, OLD, NEW }) === false) shouldCommit = false;
-                }
-                catch (err) {
-                    this._log(`${operation} trigger`, { tableName, triggerName, error: err, OLD, NEW });
-                }
+        _findRowIndex(rows, record) {
+            if (!record) return -1;
+            if (record.id !== undefined && record.id !== null) {
+                return rows.findIndex(row => row.id === record.id);
             }
-            return shouldCommit;
+            const serialized = JSON.stringify(record);
+            return rows.findIndex(row => JSON.stringify(row) === serialized);
         }
 
         /**
-         * Create or update a table with schema validation and performance optimizations
+         * Write a table's current contents to its .rdb file atomically
          * @param {string} tableName
-         * @param {Array} data
-         * @param {Object} schema
-         * @returns {RockdexDB}
+         * @private
          */
-        setTable(tableName, data = [], schema = null) {
-            if (!Array.isArray(data)) {
-                throw new Error('Data must be an array');
-            }
+        _writeTableFile(tableName) {
+            if (!this._isPersistent(tableName) || !this._tables.has(tableName)) return;
 
-            if (schema) {
-                this._validateSchema(data, schema);
-                this._schemas.set(tableName, schema);
-            }
+            const fs = nodeRequire('fs');
+            const filePath = this._tableFilePath(tableName);
+            const tempPath = `${filePath}.tmp`;
 
-            if (this._timestamps) {
-                data = data.map(row => ({
-                    ...row,
+            fs.mkdirSync(nodeRequire('path').dirname(filePath), { recursive: true });
+            fs.writeFileSync(tempPath, this._exportTableData(tableName));
+            fs.renameSync(tempPath, filePath);
+
+            this._log('table_persisted', { tableName, filePath });
+        }
+
+        /**
+         * Record that a table changed so derived state is refreshed and file mode writes it back to disk
+         * @param {string} tableName
+         * @private
+         */
+        _tableChanged(tableName) {
+            this._writeCount++;
+            const transaction = this._currentTransaction();
+            if (transaction) {
+                // Nothing reaches the log or disk before commit
+                transaction.touched.add(tableName);
+                return;
+            }
+            if (!this._isPersistent(tableName)) return;
+
+            // Make the change durable in the log; the snapshot is rewritten later
+            if (this._walLogs.has(tableName)) {
+                this._walLogs.get(tableName).flush();
+            }
+
+            this._dirtyTables.add(tableName);
+            this._schedulePersist();
+        }
+
+        /**
+         * Write dirty tables back to disk after persistDelay
+         * @private
+         */
+        _schedulePersist() {
+            if (this._persistTimer || this._dirtyTables.size === 0) return;
+
+            this._persistTimer = setTimeout(() => {
+                try {
+                    this.flush();
+                } catch (error) {
+                    this._lastError = error;
+                    this._log('persist_error', { error: error.message });
+                }
+            }, this._persistDelay);
+        }
+
+        /**
+         * Record a whole-table change (truncate, column or schema changes) that
+         * the write-ahead log cannot express, snapshotting it right away
+         * @param {string} tableName
+         * @private
+         */
+        _tableReplaced(tableName) {
+            this._writeCount++;
+            const transaction = this._currentTransaction();
+            if (transaction) {
+                transaction.replaced.add(tableName);
+                return;
+            }
+            if (!this._isPersistent(tableName)) return;
+
+            this._checkpoint(tableName);
+        }
+
+        /**
+         * Record a row change: in the open transaction's undo log, or straight to the write-ahead log
+         * @param {string} tableName
+         * @param {string} operation - 'INSERT', 'UPDATE' or 'DELETE'
+         * @param {Object} record - Row inserted, new version of an updated row, or row deleted
+         * @param {Object|null} oldRecord - Previous version of an updated row
+         * @param {number|null} position - Where a deleted row sat, for rollback
+         * @private
+         */
+        _logChange(tableName, operation, record, oldRecord = null, position = null) {
+            const transaction = this._currentTransaction();
+            if (transaction) {
+                transaction.changes.push({ tableName, operation, record, oldRecord, position });
+                return;
+            }
+            if (this._walLogs.has(tableName)) {
+                this._walLogs.get(tableName).logOperation(operation, record, oldRecord);
+            }
+        }
+
+        /**
+         * Remember a table's rows, schema, indexes and log before a whole-table
+         * change, so a transaction can put them back
+         * @param {string} tableName
+         * @private
+         */
+        _saveTableState(tableName) {
+            const transaction = this._currentTransaction();
+            if (!transaction) return;
+
+            const tableIndexes = this._indexes.get(tableName);
+            transaction.changes.push({
+                tableName,
+                operation: 'TABLE',
+                rows: this._tables.get(tableName),
+                schema: this._schemas.get(tableName),
+                indexes: tableIndexes
+                    ? [...tableIndexes].map(([name, index]) => ({ name, index, unique: index.unique }))
+                    : null,
+                wal: this._walLogs.get(tableName)
+            });
+        }
+
+        /**
+         * Compact a table's write-ahead log into its .rdb snapshot
+         * @param {string} tableName
+         * @private
+         */
+        _checkpoint(tableName) {
+            // A snapshot now would contain rows an open transaction may still roll back
+            for (const transaction of this._openTransactions) {
+                if (transaction.touched.has(tableName) || transaction.replaced.has(tableName)) {
+                    this._dirtyTables.add(tableName);
+                    return;
+                }
+            }
+
+            this._writeTableFile(tableName);
+            if (this._walLogs.has(tableName)) {
+                this._walLogs.get(tableName).checkpoint();
+            }
+            this._dirtyTables.delete(tableName);
+        }
+
+        /**
+         * Checkpoint all pending table changes to disk immediately (file mode)
+         * @returns {RockdexDB}
+         */
+        flush() {
+            if (this._persistTimer) {
+                clearTimeout(this._persistTimer);
+                this._persistTimer = null;
+            }
+
+            for (const tableName of [...this._dirtyTables]) {
+                this._checkpoint(tableName);
+            }
+            return this;
+        }
+
+        /**
+         * Extract table name from file name
+         * @param {string} tableFile 
+         * @returns {string}
+         * @private
+         */
+        _extractTableName(tableFile) {
+            return tableFile.replace(/\.rdb$/, '');
+        }
+
+        /**
+         * Generate an ID that is not already used in the table
+         * @param {string} tableName
+         * @param {Set} reserved - IDs taken by records not inserted yet
+         * @returns {string}
+         * @private
+         */
+        _generateUniqueId(tableName, reserved = null) {
+            const idIndex = this._indexes.get(tableName)?.get('id');
+            let id = this._generateSecureId();
+            while ((idIndex && idIndex.search(id).length > 0) || (reserved && reserved.has(id))) {
+                id = this._generateSecureId();
+            }
+            return id;
+        }
+
+        /**
+         * Generate secure ID 
+         * @returns {string}
+         * @private
+         */
+        _generateSecureId() {
+                    const timestamp = Date.now().toString(36);
+            const random = Math.random().toString(36).substr(2, 9);
+            return `${timestamp}-${random}`.substring(0, 16);
+        }
+
+        /**
+         * Download table data as .rdb file (Browser only)
+         * @param {string} tableName
+         * @private
+         */
+        _downloadTableFile(tableName) {
+            if (!this._isBrowser) {
+                throw this._fail(new RockdexError('Download only available in browser', 'UNSUPPORTED'));
+            }
+
+            const tableData = {
+                [tableName]: {
+                rows: this._tables.get(tableName) || [],
+                schema: this._schemas.get(tableName) || null,
+                metadata: {
+                    lastModified: new Date().toISOString(),
+                        recordCount: (this._tables.get(tableName) || []).length,
+                        version: '1.0.0'
+                    }
+                }
+            };
+
+            const jsonData = JSON.stringify(tableData, null, 2);
+            
+            const blob = new Blob([jsonData], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${tableName}.rdb`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            this._log('table_downloaded', { tableName, fileName: `${tableName}.rdb` });
+        }
+
+        /**
+         * Export table data as JSON string
+         * @param {string} tableName
+         * @returns {string}
+         * @private
+         */
+        _exportTableData(tableName) {
+            const tableData = {
+                [tableName]: {
+                    rows: this._tables.get(tableName) || [],
+                    schema: this._schemas.get(tableName) || null,
+                    metadata: {
+                        lastModified: new Date().toISOString(),
+                        recordCount: (this._tables.get(tableName) || []).length,
+                        version: '1.0.0'
+                    }
+                }
+            };
+
+            // Snapshot position in the write-ahead log, so replay skips covered entries
+            if (this._isPersistent(tableName) && this._walLogs.has(tableName)) {
+                tableData[tableName].metadata.walSequence = this._walLogs.get(tableName).sequence;
+            }
+
+            return JSON.stringify(tableData, null, 2);
+        }
+
+        /**
+         * Import table data from JSON string
+         * @param {string} jsonData
+         * @param {string} tableName
+         * @private
+         */
+        _importTableData(jsonData, tableName) {
+            let data;
+            try {
+                data = JSON.parse(jsonData);
+            } catch (error) {
+                throw this._fail(new ImportFormatError(`Failed to import table data: ${error.message}`, { table: tableName, cause: error }));
+            }
+
+            if (!data || !data[tableName]) {
+                throw this._fail(new ImportFormatError(`Table '${tableName}' not found in data`, { table: tableName }));
+            }
+
+            this._tables.set(tableName, data[tableName].rows || []);
+            if (data[tableName].schema) {
+                this._schemas.set(tableName, data[tableName].schema);
+            }
+            this._rebuildIndexes(tableName);
+            this._tableReplaced(tableName);
+            this._log('table_imported', { tableName, recordCount: data[tableName].rows?.length || 0 });
+        }
+
+        /**
+         * Enable or disable logging
+         * @param {boolean|function} enable
+         * @returns {RockdexDB}
+         */
+        setLogging(enable) {
+            this._logger = enable;
+            return this;
+        }
+
+        /**
+         * Log an operation if logging is enabled
+         * @param {string} operation
+         * @param {Object} details
+         * @private
+         */
+        _log(operation, details) {
+            if (typeof this._logger === 'function') {
+                this._logger(`[${new Date().toISOString()}] ${operation}: ${JSON.stringify(details)}`);
+            }
+            else if (this._logger) {
+                console.log(`[${new Date().toISOString()}] ${operation}:`, details);
+            }
+        }
+
+        /**
+         * Fire triggers
+         * @param {string} tableName
+         * @param {string} operation
+         * @param {Object} OLD
+         * @param {Object} NEW
+         * @returns {boolean}
+         * @private
+         */
+        _trigger(tableName, operation, OLD = null, NEW = null) {
+            let shouldCommit = true;
+            for (const [triggerName, trigger] of (this._triggers.get(tableName)?.entries() || [])) {
+                try {
+                    if (trigger({ operation, OLD, NEW }) === false) shouldCommit = false;
+                }
+                catch (err) {
+                    this._log(`${operation} trigger`, { tableName, triggerName, error: err, OLD, NEW });
+                }
+            }
+            return shouldCommit;
+        }
+
+        /**
+         * Create or update a table with schema validation and performance optimizations
+         * @param {string} tableName
+         * @param {Array} data
+         * @param {Object} schema
+         * @returns {RockdexDB}
+         */
+        setTable(tableName, data = [], schema = null) {
+            if (!Array.isArray(data)) {
+                throw this._fail(new RockdexError('Data must be an array', 'INVALID_ARGUMENT'));
+            }
+
+            if (schema) {
+                this._validateSchema(data, schema, tableName);
+            }
+            this._assertUniqueRows(tableName, data, schema);
+            this._saveTableState(tableName);
+            if (schema) {
+                this._schemas.set(tableName, schema);
+            }
+
+            if (this._timestamps) {
+                data = data.map(row => ({
+                    ...row,
                     created_at: row.created_at || new Date().toISOString(),
                     updated_at: row.updated_at || new Date().toISOString()
                 }));
             }
 
             this._tables.set(tableName, data);
+            this._rebuildIndexes(tableName);
 
             // PERFORMANCE OPTIMIZATIONS
-            if (this._performanceEnabled && data.length > 0) {
-                // Initialize WAL if not exists
-                if (!this._walLogs.has(tableName)) {
-                    this._walLogs.set(tableName, new WriteAheadLog(tableName));
-                }
-                
-                // Load into optimized storage for chunking
-                this._optimizedStorage.loadTable(tableName, data);
-                
-                // Auto-create indexes if schema provided
-                if (schema) {
-                    this._autoCreateIndexes(tableName, schema);
-                } else {
-                    // Create basic ID index for better performance
-                    this.createIndex(tableName, 'id');
-                }
-            }
+            this._initTablePerformance(tableName, data, schema);
+            this._createUniqueIndexes(tableName, schema);
+            this._tableReplaced(tableName);
 
             this._log('setTable', { 
                 tableName, 
@@ -735,11 +1771,11 @@
          */
         createTrigger(tableName, triggerName, trigger) {
             if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+                throw this._fail(new TableNotFoundError(tableName));
             }
             if (!this._triggers.has(tableName)) this._triggers.set(tableName, new Map());
             if (this._triggers.get(tableName).has(triggerName)) {
-                throw new Error(`Trigger '${triggerName}' already exists`);
+                throw this._fail(new RockdexError(`Trigger '${triggerName}' already exists`, 'ALREADY_EXISTS'));
             }
             this._triggers.get(tableName).set(triggerName, trigger);
             return this;
@@ -753,7 +1789,7 @@
          */
         dropTrigger(tableName, triggerName) {
             if (!this._triggers.has(tableName) || !this._triggers.get(tableName).has(triggerName)) {
-                throw new Error(`Trigger '${triggerName}' on table '${tableName}' does not exist`);
+                throw this._fail(new RockdexError(`Trigger '${triggerName}' on table '${tableName}' does not exist`, 'NOT_FOUND'));
             }
             this._triggers.get(tableName).delete(triggerName);
             return this;
@@ -767,9 +1803,10 @@
          */
         createTable(tableName, schema = null) {
             if (this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' already exists`);
+                throw this._fail(new RockdexError(`Table '${tableName}' already exists`, 'ALREADY_EXISTS'));
             }
 
+            this._saveTableState(tableName);
             this._tables.set(tableName, []);
             if (schema) {
                 this._schemas.set(tableName, schema);
@@ -788,6 +1825,7 @@
                     this._optimizedStorage.loadTable(tableName, []);
                 }
             }
+            this._createUniqueIndexes(tableName, schema);
 
             this._log('createTable', { 
                 tableName, 
@@ -806,13 +1844,17 @@
          */
         dropTable(tableName) {
             if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+                throw this._fail(new TableNotFoundError(tableName));
             }
 
+            this._saveTableState(tableName);
             this._tables.delete(tableName);
             this._triggers.delete(tableName);
                 this._schemas.delete(tableName);
                 this._relationships.delete(tableName);
+            this._dirtyTables.delete(tableName);
+            this._indexes.delete(tableName);
+            this._optimizedStorage.unloadTable(tableName);
 
             this._log('dropTable', { tableName });
             return this;
@@ -836,9 +1878,10 @@
          */
         addColumn(tableName, columnName, defaultValue = null) {
             if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+                throw this._fail(new TableNotFoundError(tableName));
             }
 
+            this._saveTableState(tableName);
             const table = this._tables.get(tableName);
             const updatedTable = table.map(row => ({
                 ...row,
@@ -846,6 +1889,8 @@
             }));
 
             this._tables.set(tableName, updatedTable);
+            this._rebuildIndexes(tableName);
+            this._tableReplaced(tableName);
             this._log('addColumn', { tableName, columnName });
             return this;
         }
@@ -858,9 +1903,10 @@
          */
         dropColumn(tableName, columnName) {
             if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+                throw this._fail(new TableNotFoundError(tableName));
             }
 
+            this._saveTableState(tableName);
             const table = this._tables.get(tableName);
             const updatedTable = table.map(row => {
                 const { [columnName]: removed, ...rest } = row;
@@ -868,37 +1914,361 @@
             });
 
             this._tables.set(tableName, updatedTable);
+            this._rebuildIndexes(tableName);
+            this._tableReplaced(tableName);
             this._log('dropColumn', { tableName, columnName });
             return this;
         }
 
         /**
          * Define a relationship between tables
+         *
+         * hasOne / hasMany: relatedTable.foreignKey holds tableName.localKey.
+         * belongsTo: tableName.foreignKey holds relatedTable.localKey.
+         * belongsToMany: rows of the `through` pivot table link tableName.localKey
+         * (pivot foreignKey) to relatedTable.relatedKey (pivot otherKey).
+         *
+         * Referential options apply to the foreign key whichever side declares it:
+         * `enforce` rejects inserts and updates pointing at a missing parent row,
+         * and `onDelete` / `onUpdate` ('cascade', 'setNull' or 'restrict') decide
+         * what happens to child rows when their parent is deleted or its key
+         * changes. Enforced keys default both actions to 'restrict'. For
+         * belongsToMany they govern the pivot rows of tableName.
          * @param {string} tableName
          * @param {string} relatedTable
-         * @param {string} type - 'hasOne', 'hasMany', 'belongsTo'
-         * @param {string} foreignKey
+         * @param {string} type - 'hasOne', 'hasMany', 'belongsTo', 'belongsToMany'
+         * @param {string|Object} foreignKey - Foreign key column, or { foreignKey, localKey = 'id', as = relatedTable, enforce, onDelete, onUpdate }
+         *   plus { through, otherKey, relatedKey = 'id' } for belongsToMany
          * @returns {RockdexDB}
+         * @example db.setRelation('users', 'roles', 'belongsToMany', { through: 'user_roles', foreignKey: 'user_id', otherKey: 'role_id' })
          */
         setRelation(tableName, relatedTable, type, foreignKey) {
-            if (!this._relationships.has(tableName)) {
-                this._relationships.set(tableName, []);
+            if (!['hasOne', 'hasMany', 'belongsTo', 'belongsToMany'].includes(type)) {
+                throw this._fail(new RockdexError(`Unknown relation type '${type}'`, 'INVALID_ARGUMENT'));
             }
-            this._relationships.get(tableName).push({
-                table: relatedTable,
-                type,
-                foreignKey
+
+            const options = typeof foreignKey === 'object' && foreignKey !== null ? foreignKey : { foreignKey };
+            if (!options.foreignKey) {
+                throw this._fail(new RockdexError(`Relation from '${tableName}' to '${relatedTable}' needs a foreign key`, 'INVALID_ARGUMENT'));
+            }
+            if (type === 'belongsToMany' && (!options.through || !options.otherKey)) {
+                throw this._fail(new RockdexError(`belongsToMany relation from '${tableName}' to '${relatedTable}' needs a 'through' table and an 'otherKey'`, 'INVALID_ARGUMENT'));
+            }
+            for (const action of ['onDelete', 'onUpdate']) {
+                if (options[action] && !REFERENTIAL_ACTIONS.includes(options[action])) {
+                    throw this._fail(new RockdexError(`Invalid ${action} action '${options[action]}'. Use ${REFERENTIAL_ACTIONS.join(', ')}`, 'INVALID_ARGUMENT'));
+                }
+            }
+
+            if (!this._relationships.has(tableName)) {
+                this._relationships.set(tableName, []);
+            }
+            this._relationships.get(tableName).push({
+                table: relatedTable,
+                type,
+                foreignKey: options.foreignKey,
+                localKey: options.localKey || 'id',
+                name: options.as || relatedTable,
+                enforce: Boolean(options.enforce),
+                onDelete: options.onDelete || null,
+                onUpdate: options.onUpdate || null,
+                ...(type === 'belongsToMany' && {
+                    through: options.through,
+                    otherKey: options.otherKey,
+                    relatedKey: options.relatedKey || 'id'
+                })
             });
             return this;
         }
 
+        /**
+         * Link a row to related rows through a belongsToMany pivot table.
+         * Pairs that are already linked are left alone.
+         * @param {string} tableName
+         * @param {string} relation - Relation name (related table or `as`)
+         * @param {*} localId - Value of the row's local key
+         * @param {*|Array} relatedIds - Related key value(s)
+         * @param {Object} pivotData - Extra columns for new pivot rows
+         * @returns {RockdexDB}
+         * @example db.attach('users', 'roles', 1, [2, 3], { granted_by: 'admin' })
+         */
+        attach(tableName, relation, localId, relatedIds, pivotData = {}) {
+            const pivot = this._pivotRelation(tableName, relation);
+            const linked = new Set(this._pivotRows(pivot, localId).map(row => hashKey(getPath(row, pivot.otherKey))));
+            let attachedCount = 0;
+
+            for (const relatedId of Array.isArray(relatedIds) ? relatedIds : [relatedIds]) {
+                if (linked.has(hashKey(relatedId))) continue;
+                linked.add(hashKey(relatedId));
+
+                this.insert(pivot.through, { ...pivotData, [pivot.foreignKey]: localId, [pivot.otherKey]: relatedId });
+                attachedCount++;
+            }
+
+            this._log('attach', { tableName, relation, localId, attachedCount });
+            return this;
+        }
+
+        /**
+         * Remove pivot rows linking a row to related rows
+         * @param {string} tableName
+         * @param {string} relation
+         * @param {*} localId
+         * @param {*|Array} relatedIds - Related key value(s); every link when omitted
+         * @returns {RockdexDB}
+         */
+        detach(tableName, relation, localId, relatedIds) {
+            const pivot = this._pivotRelation(tableName, relation);
+            let rows = this._pivotRows(pivot, localId);
+
+            if (relatedIds !== undefined) {
+                const unlink = new Set((Array.isArray(relatedIds) ? relatedIds : [relatedIds]).map(hashKey));
+                rows = rows.filter(row => unlink.has(hashKey(getPath(row, pivot.otherKey))));
+            }
+
+            const detachedCount = this._deleteRows(pivot.through, rows);
+            this._log('detach', { tableName, relation, localId, detachedCount });
+            return this;
+        }
+
+        /**
+         * Make the related rows of a row exactly the given ones, attaching
+         * missing links and detaching the rest
+         * @param {string} tableName
+         * @param {string} relation
+         * @param {*} localId
+         * @param {Array} relatedIds
+         * @param {Object} pivotData - Extra columns for newly attached pivot rows
+         * @returns {RockdexDB}
+         */
+        sync(tableName, relation, localId, relatedIds, pivotData = {}) {
+            const pivot = this._pivotRelation(tableName, relation);
+            const wanted = new Set(relatedIds.map(hashKey));
+            const stale = this._pivotRows(pivot, localId)
+                .map(row => getPath(row, pivot.otherKey))
+                .filter(relatedId => !wanted.has(hashKey(relatedId)));
+
+            if (stale.length > 0) {
+                this.detach(tableName, relation, localId, stale);
+            }
+            return this.attach(tableName, relation, localId, relatedIds, pivotData);
+        }
+
+        /**
+         * Find a belongsToMany relation of a table by name
+         * @private
+         */
+        _pivotRelation(tableName, name) {
+            const relation = this._findRelation(tableName, name);
+            if (relation.type !== 'belongsToMany') {
+                throw this._fail(new RockdexError(`Relation '${name}' on table '${tableName}' is not a belongsToMany relation`, 'INVALID_ARGUMENT'));
+            }
+            if (!this._tables.has(relation.through)) {
+                throw this._fail(new TableNotFoundError(relation.through));
+            }
+            return relation;
+        }
+
+        /**
+         * Pivot rows linking one row of a belongsToMany relation
+         * @private
+         */
+        _pivotRows(relation, localId) {
+            return this._rowsWhere(relation.through, relation.foreignKey, '=', localId);
+        }
+
+        /**
+         * Eager load related rows into the results
+         *
+         * Relations are named by their related table (or the `as` given to
+         * setRelation); dots load nested relations. A constraint callback receives
+         * the builder to add where/orderBy/select for the related rows.
+         * @param {string|string[]|Object} relations - 'posts', 'posts.comments', [...], or { posts: q => ... }
+         * @param {Function} constraint - Constraint for a single relation path
+         * @returns {RockdexDB}
+         * @example db.with('posts', q => q.where('published', true)).with('profile').get('users')
+         */
+        with(relations, constraint) {
+            if (typeof relations === 'string') {
+                relations = { [relations]: constraint || null };
+            } else if (Array.isArray(relations)) {
+                relations = Object.fromEntries(relations.map(path => [path, null]));
+            }
+
+            for (const [path, pathConstraint] of Object.entries(relations)) {
+                let level = this._with;
+                const names = path.split('.');
+                names.forEach((name, i) => {
+                    if (!level.has(name)) level.set(name, { constraint: null, children: new Map() });
+                    const node = level.get(name);
+                    if (i === names.length - 1 && pathConstraint) node.constraint = pathConstraint;
+                    level = node.children;
+                });
+            }
+            return this;
+        }
+
+        /**
+         * Find a relation of a table by name
+         * @private
+         */
+        _findRelation(tableName, name) {
+            const relation = (this._relationships.get(tableName) || []).find(candidate => (candidate.name || candidate.table) === name);
+            if (!relation) {
+                throw this._fail(new RockdexError(`No relation '${name}' defined on table '${tableName}'`, 'NOT_FOUND'));
+            }
+            return relation;
+        }
+
+        /**
+         * Attach eager loaded relations to output rows
+         * @param {string} tableName
+         * @param {Array} rows - Stored rows (keys are read from these)
+         * @param {Array} outputs - Row copies the relations are attached to
+         * @param {Map} includes - Relation tree from with()
+         * @private
+         */
+        _loadRelations(tableName, rows, outputs, includes) {
+            for (const [name, node] of includes) {
+                const relation = this._findRelation(tableName, name);
+                if (relation.type === 'belongsToMany') {
+                    this._loadPivotRelation(rows, outputs, name, relation, node);
+                    continue;
+                }
+
+                const localKey = relation.localKey || 'id';
+                const [parentKey, relatedKey] = relation.type === 'belongsTo'
+                    ? [relation.foreignKey, localKey]
+                    : [localKey, relation.foreignKey];
+
+                const keys = new Set();
+                for (const row of rows) {
+                    const key = getPath(row, parentKey);
+                    if (key !== null && key !== undefined) keys.add(key);
+                }
+
+                // One query per relation, however many parent rows there are
+                const related = this._queryRelated(relation.table, relatedKey, [...keys], node.constraint);
+                const relatedOutputs = related.select
+                    ? this._project(related.rows, related.select)
+                    : related.rows.map(row => ({ ...row }));
+                if (node.children.size > 0) {
+                    this._loadRelations(relation.table, related.rows, relatedOutputs, node.children);
+                }
+
+                const byKey = new Map();
+                related.rows.forEach((row, i) => {
+                    const key = hashKey(getPath(row, relatedKey));
+                    if (!byKey.has(key)) byKey.set(key, []);
+                    byKey.get(key).push(relatedOutputs[i]);
+                });
+
+                rows.forEach((row, i) => {
+                    const matches = byKey.get(hashKey(getPath(row, parentKey))) || [];
+                    outputs[i][name] = relation.type === 'hasMany' ? matches : (matches[0] || null);
+                });
+            }
+        }
+
+        /**
+         * Attach a belongsToMany relation: one query for the pivot rows and one for
+         * the related rows. Each attached row carries its pivot row as `pivot`.
+         * @private
+         */
+        _loadPivotRelation(rows, outputs, name, relation, node) {
+            const localKey = relation.localKey || 'id';
+            const pivotRows = this._tables.has(relation.through)
+                ? this._rowsWhere(relation.through, relation.foreignKey, 'IN', this._keyValues(rows, localKey))
+                : [];
+
+            const related = this._queryRelated(relation.table, relation.relatedKey, this._keyValues(pivotRows, relation.otherKey), node.constraint);
+            const relatedOutputs = related.select
+                ? this._project(related.rows, related.select)
+                : related.rows.map(row => ({ ...row }));
+            if (node.children.size > 0) {
+                this._loadRelations(relation.table, related.rows, relatedOutputs, node.children);
+            }
+
+            // Position of each related key in the related query, which holds its order
+            const positions = new Map();
+            related.rows.forEach((row, i) => {
+                const key = hashKey(getPath(row, relation.relatedKey));
+                if (!positions.has(key)) positions.set(key, i);
+            });
+
+            const links = new Map();
+            for (const pivotRow of pivotRows) {
+                const position = positions.get(hashKey(getPath(pivotRow, relation.otherKey)));
+                if (position === undefined) continue;
+
+                const key = hashKey(getPath(pivotRow, relation.foreignKey));
+                if (!links.has(key)) links.set(key, []);
+                links.get(key).push({ position, pivot: pivotRow });
+            }
+
+            rows.forEach((row, i) => {
+                const linked = links.get(hashKey(getPath(row, localKey))) || [];
+                outputs[i][name] = linked
+                    .sort((a, b) => a.position - b.position)
+                    .map(({ position, pivot }) => ({ ...relatedOutputs[position], pivot: { ...pivot } }));
+            });
+        }
+
+        /**
+         * Rows of a related table whose key is one of the given values, filtered
+         * and ordered by an optional constraint
+         * @param {string} tableName
+         * @param {string} column
+         * @param {Array} values
+         * @param {Function|null} constraint
+         * @returns {{rows: Array, select: Array|null}}
+         * @private
+         */
+        _queryRelated(tableName, column, values, constraint) {
+            const outer = this._takeQueryState();
+            try {
+                if (constraint) constraint(this);
+
+                // Keep the constraint's own OR logic inside parentheses
+                const constraintConditions = this._whereConditions;
+                this._whereConditions = constraintConditions.length > 0
+                    ? [{ group: constraintConditions, logic: 'AND' }, this._buildCondition(column, 'IN', values)]
+                    : [this._buildCondition(column, 'IN', values)];
+
+                return { rows: this._get(tableName), select: this._select };
+            } finally {
+                this._restoreQueryState(outer);
+            }
+        }
+
+        /**
+         * Start an isolated query on a table
+         *
+         * Unlike the chain on the database itself, the returned Query keeps its
+         * own state: every builder call returns a new Query, so concurrent
+         * callers and failed queries cannot leak conditions into each other.
+         * @param {string} tableName
+         * @returns {Query}
+         * @example const active = db.table('users').where('active', true); await active.orderBy('name').get()
+         */
+        table(tableName) {
+            return new Query(this, tableName);
+        }
+
+        /**
+         * Start an isolated query on a table - alias of table()
+         * @param {string} tableName
+         * @returns {Query}
+         */
+        query(tableName) {
+            return this.table(tableName);
+        }
+
         /**
          * High-performance get method with indexing
          */
         async get(tableName) {
-            const results = this._get(tableName);
-            this._resetConditions();
-            return results;
+            return this._consume(() => this._results(tableName));
         }
 
         /**
@@ -907,40 +2277,42 @@
          */
         _get(tableName) {
             if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            if (this._joins.length > 0) {
+                return this._getJoined(tableName);
             }
 
             const startTime = performance.now();
-            let results;
+            let candidates = null;
+            let presorted = false;
             
-            // Try to use indexes for primary condition
+            // Try to use indexes for the where conditions
             if (this._whereConditions.length > 0 && this._performanceEnabled) {
-                const primaryCondition = this._whereConditions[0];
-                const indexedResults = this._executeIndexedQuery(
-                    tableName, 
-                    primaryCondition.field, 
-                    primaryCondition.value, 
-                    primaryCondition.operator
-                );
-                
-                if (indexedResults) {
-                    results = indexedResults;
-                    
-                    // Apply remaining conditions
-                    if (this._whereConditions.length > 1) {
-                        results = this._applyConditions(results);
-                    }
-                } else {
-                    // Fallback to full table scan
-                    results = [...this._tables.get(tableName)];
-                    results = this._applyConditions(results);
+                const plan = this._planQuery(tableName);
+                if (plan.access !== 'scan') {
+                    // An equality prefix leaves the rest of the index in order
+                    const path = plan.paths[0];
+                    const reverse = plan.access === 'index' && !path.plan && !path.inValues
+                        ? this._indexOrder(path.index, path.prefix.length)
+                        : null;
+
+                    this._metrics.indexUsage++;
+                    candidates = reverse === null ? this._executePlan(plan) : this._fetchIndexPath(path, reverse);
+                    presorted = reverse !== null;
                 }
-            } else {
-                // No conditions or performance disabled - get all
-                results = [...this._tables.get(tableName)];
-                results = this._applyConditions(results);
             }
 
+            // Otherwise read the table in index order when an index matches orderBy
+            if (!candidates && this._orderBy.length > 0 && this._performanceEnabled) {
+                candidates = this._orderedIndexScan(tableName);
+                presorted = candidates !== null;
+            }
+
+            // Apply remaining conditions, search, ordering and limits (full scan if no index applied)
+            let results = this._applyConditions(candidates || this._tables.get(tableName), presorted);
+
             // Apply soft delete filter
             if (this._softDelete) {
                 results = results.filter(row => !row.deleted_at);
@@ -967,9 +2339,10 @@
          * @returns {Object|null}
          */
         getOne(tableName) {
-            const results = this._get(tableName);
-            this._resetConditions();
-            return results.length > 0 ? results[0] : null;
+            return this._consume(() => {
+                const results = this._isAggregating() ? this._getGrouped(tableName) : this._get(tableName);
+                return results.length > 0 ? this._present(tableName, results.slice(0, 1))[0] : null;
+            });
         }
 
         /**
@@ -983,16 +2356,99 @@
         }
 
         /**
-         * Order results by column
+         * Order results by column; further calls add tie-breaking columns
+         *
+         * Nulls sort before other values (first for ASC, last for DESC) unless
+         * placed explicitly with 'ASC NULLS LAST' or { nulls: 'last' }.
          * @param {string} column
-         * @param {string} direction - 'ASC' or 'DESC'
+         * @param {string} direction - 'ASC' or 'DESC', optionally followed by 'NULLS FIRST' / 'NULLS LAST'
+         * @param {Object} options - { nulls: 'first'|'last', collation: locale | { locale, ...Intl.Collator options } }
+         * @returns {RockdexDB}
+         */
+        orderBy(column, direction = 'ASC', options = {}) {
+            const [order, nullsKeyword, placement] = String(direction).toUpperCase().trim().split(/\s+/);
+            if (order !== 'ASC' && order !== 'DESC') {
+                throw this._failBuilder(new RockdexError(`Invalid sort direction '${direction}'`, 'INVALID_ARGUMENT'));
+            }
+
+            const nulls = nullsKeyword === 'NULLS' ? placement : String(options.nulls || (order === 'ASC' ? 'FIRST' : 'LAST')).toUpperCase();
+            if (nulls !== 'FIRST' && nulls !== 'LAST') {
+                throw this._failBuilder(new RockdexError(`Invalid null ordering '${nulls}'`, 'INVALID_ARGUMENT'));
+            }
+
+            this._orderBy.push({
+                column,
+                direction: order,
+                nulls,
+                collator: options.collation ? createCollator(options.collation) : this._collator
+            });
+            return this;
+        }
+
+        /**
+         * Choose the columns returned by get, getOne, paginate, toJSON and stream
+         *
+         * Columns are field names or dot paths, optionally renamed with
+         * 'field as alias'; '*' keeps every field. An object maps aliases to a
+         * field path or to a function computing the value from the row.
+         * @param {string|Object|Array<string|Object>} columns
          * @returns {RockdexDB}
+         * @example db.select(['id', 'email as contact', { fullName: row => `${row.first} ${row.last}` }])
          */
-        orderBy(column, direction = 'ASC') {
-            this._orderBy = { column, direction: direction.toUpperCase() };
+        select(...columns) {
+            const list = columns.length === 1 && Array.isArray(columns[0]) ? columns[0] : columns;
+            const selected = this._select || [];
+
+            for (const column of list) {
+                if (typeof column === 'string') {
+                    const match = /^\s*(.+?)\s+as\s+(.+?)\s*$/i.exec(column);
+                    const path = match ? match[1] : column.trim();
+                    selected.push(path === '*' ? { all: true } : { alias: match ? match[2] : path, path });
+                } else if (column && typeof column === 'object') {
+                    for (const [alias, source] of Object.entries(column)) {
+                        if (typeof source !== 'function' && typeof source !== 'string') {
+                            throw this._failBuilder(new RockdexError(`Column '${alias}' must be a field path or a function`, 'INVALID_ARGUMENT'));
+                        }
+                        selected.push(typeof source === 'function' ? { alias, compute: source } : { alias, path: source });
+                    }
+                } else {
+                    throw this._failBuilder(new RockdexError('Select columns must be strings or { alias: path | function } objects', 'INVALID_ARGUMENT'));
+                }
+            }
+
+            this._select = selected;
             return this;
         }
 
+        /**
+         * Apply the selected columns to result rows
+         * @param {Array} rows
+         * @param {Array|null} columns
+         * @returns {Array}
+         * @private
+         */
+        _project(rows, columns = this._select) {
+            return columns ? rows.map(row => this._projectRow(row, columns)) : rows;
+        }
+
+        /**
+         * Build the selected columns of one row
+         * @private
+         */
+        _projectRow(row, columns = this._select) {
+            if (!columns) return row;
+
+            const projected = {};
+            for (const column of columns) {
+                if (column.all) {
+                    Object.assign(projected, row);
+                } else {
+                    projected[column.alias] = column.compute ? column.compute(row) : getPath(row, column.path);
+                }
+            }
+            return projected;
+        }
+
         /**
          * Limit number of results
          * @param {number} limit
@@ -1015,6 +2471,43 @@
             return this.where(field, value, 'OR');
         }
 
+        /**
+         * Add a parenthesised group of conditions
+         * @param {Function} callback - Receives the builder; the conditions it adds form the group
+         * @param {string} logic - 'AND' or 'OR' to join the group with earlier conditions
+         * @returns {RockdexDB}
+         */
+        whereGroup(callback, logic = 'AND') {
+            const groupLogic = this._conditionLogic(logic);
+            const outer = this._whereConditions;
+            let group;
+
+            this._whereConditions = [];
+            try {
+                callback(this);
+                group = this._whereConditions;
+            } catch (error) {
+                // A failed group drops the whole chain, like any failed builder call
+                this._resetConditions();
+                throw error;
+            }
+            this._whereConditions = outer;
+
+            if (group.length > 0) {
+                this._whereConditions.push({ group, logic: groupLogic });
+            }
+            return this;
+        }
+
+        /**
+         * Add a parenthesised group of conditions with OR
+         * @param {Function} callback
+         * @returns {RockdexDB}
+         */
+        orWhereGroup(callback) {
+            return this.whereGroup(callback, 'OR');
+        }
+
         /**
          * Add where IN condition
          * @param {string} field
@@ -1022,10 +2515,83 @@
          * @returns {RockdexDB}
          */
         whereIn(field, values) {
-            if (!Array.isArray(values)) {
-                throw new Error('Values must be an array');
-            }
-            this._whereConditions.push({ field, operator: 'IN', value: values });
+            this._whereConditions.push(this._buildCondition(field, 'IN', values));
+            return this;
+        }
+
+        /**
+         * Add where NOT IN condition
+         * @param {string} field
+         * @param {Array} values
+         * @returns {RockdexDB}
+         */
+        whereNotIn(field, values) {
+            this._whereConditions.push(this._buildCondition(field, 'NOT IN', values));
+            return this;
+        }
+
+        /**
+         * Add where BETWEEN condition (inclusive on both ends)
+         * @param {string} field
+         * @param {any} min
+         * @param {any} max
+         * @returns {RockdexDB}
+         */
+        whereBetween(field, min, max) {
+            this._whereConditions.push(this._buildCondition(field, 'BETWEEN', [min, max]));
+            return this;
+        }
+
+        /**
+         * Add where IS NULL condition (matches null and missing values)
+         * @param {string} field
+         * @returns {RockdexDB}
+         */
+        whereNull(field) {
+            this._whereConditions.push(this._buildCondition(field, 'IS NULL'));
+            return this;
+        }
+
+        /**
+         * Add where IS NOT NULL condition
+         * @param {string} field
+         * @returns {RockdexDB}
+         */
+        whereNotNull(field) {
+            this._whereConditions.push(this._buildCondition(field, 'IS NOT NULL'));
+            return this;
+        }
+
+        /**
+         * Add a condition that an array field holds a value
+         * @param {string} field
+         * @param {any} value
+         * @returns {RockdexDB}
+         */
+        whereContains(field, value) {
+            this._whereConditions.push(this._buildCondition(field, 'CONTAINS', value));
+            return this;
+        }
+
+        /**
+         * Add a condition that an array field holds at least one of the values
+         * @param {string} field
+         * @param {Array} values
+         * @returns {RockdexDB}
+         */
+        whereContainsAny(field, values) {
+            this._whereConditions.push(this._buildCondition(field, 'CONTAINS_ANY', values));
+            return this;
+        }
+
+        /**
+         * Add a condition that an array field holds every one of the values
+         * @param {string} field
+         * @param {Array} values
+         * @returns {RockdexDB}
+         */
+        whereContainsAll(field, values) {
+            this._whereConditions.push(this._buildCondition(field, 'CONTAINS_ALL', values));
             return this;
         }
 
@@ -1036,7 +2602,7 @@
          * @returns {RockdexDB}
          */
         whereLike(field, pattern) {
-            this._whereConditions.push({ field, operator: 'LIKE', value: pattern });
+            this._whereConditions.push(this._buildCondition(field, 'LIKE', pattern));
             return this;
         }
 
@@ -1046,9 +2612,7 @@
          * @returns {number}
          */
         count(tableName) {
-            const results = this._get(tableName);
-            this._resetConditions();
-            return results.length;
+            return this._consume(() => this._get(tableName).length);
         }
 
         /**
@@ -1058,9 +2622,8 @@
          * @returns {Array}
          */
         distinct(tableName, column) {
-            const results = this._get(tableName);
-            this._resetConditions();
-            return [...new Set(results.map(row => row[column]))];
+            const results = this._consume(() => this._get(tableName));
+            return [...new Set(results.map(row => getPath(row, column)))];
         }
 
         /**
@@ -1070,10 +2633,9 @@
          * @returns {number}
          */
         avg(tableName, column) {
-            const results = this._get(tableName);
-            this._resetConditions();
+            const results = this._consume(() => this._get(tableName));
             if (results.length === 0) return 0;
-            return results.reduce((sum, row) => sum + (row[column] || 0), 0) / results.length;
+            return results.reduce((sum, row) => sum + (getPath(row, column) || 0), 0) / results.length;
         }
 
         /**
@@ -1083,9 +2645,8 @@
          * @returns {number}
          */
         sum(tableName, column) {
-            const results = this._get(tableName);
-            this._resetConditions();
-            return results.reduce((sum, row) => sum + (row[column] || 0), 0);
+            const results = this._consume(() => this._get(tableName));
+            return results.reduce((sum, row) => sum + (getPath(row, column) || 0), 0);
         }
 
         /**
@@ -1095,10 +2656,9 @@
          * @returns {any}
          */
         min(tableName, column) {
-            const results = this._get(tableName);
-            this._resetConditions();
+            const results = this._consume(() => this._get(tableName));
             if (results.length === 0) return null;
-            return Math.min(...results.map(row => row[column]));
+            return Math.min(...results.map(row => getPath(row, column)));
         }
 
         /**
@@ -1108,23 +2668,31 @@
          * @returns {any}
          */
         max(tableName, column) {
-            const results = this._get(tableName);
-            this._resetConditions();
+            const results = this._consume(() => this._get(tableName));
             if (results.length === 0) return null;
-            return Math.max(...results.map(row => row[column]));
+            return Math.max(...results.map(row => getPath(row, column)));
         }
 
         /**
-         * Group results by a column
-         * @param {string} tableName
-         * @param {string} column
-         * @returns {Object}
+         * Group rows for aggregation, or group results by a column
+         *
+         * With columns only, starts an aggregation: get() then returns one row per
+         * group with the group columns and the aggregate() aliases. The original
+         * groupBy(tableName, column) form still returns { value: rows[] }.
+         * @param {string|string[]} tableName - Group columns (builder form) or table name
+         * @param {string} column - Column to group by (legacy form)
+         * @returns {RockdexDB|Object}
+         * @example db.groupBy(['region', 'status']).aggregate({ total: sum('amount') }).get('orders')
          */
         groupBy(tableName, column) {
-            const results = this._get(tableName);
-            this._resetConditions();
+            if (column === undefined) {
+                this._groupBy = Array.isArray(tableName) ? tableName : [tableName];
+                return this;
+            }
+
+            const results = this._consume(() => this._get(tableName));
             return results.reduce((groups, row) => {
-                const key = row[column];
+                const key = getPath(row, column);
                 if (!groups[key]) groups[key] = [];
                 groups[key].push(row);
                 return groups;
@@ -1132,57 +2700,179 @@
         }
 
         /**
-         * Apply all conditions and modifiers to get results
-         * @param {Array} data
-         * @returns {Array}
+         * Aggregates computed per group (or over every matching row without groupBy)
+         * @param {Object} specs - { alias: RockdexDB.aggregates.sum('field') | rows => value }
+         * @returns {RockdexDB}
+         */
+        aggregate(specs) {
+            for (const [alias, spec] of Object.entries(specs)) {
+                if (typeof spec !== 'function' && !(spec && AGGREGATE_REDUCERS[spec.aggregate])) {
+                    throw this._failBuilder(new RockdexError(`Aggregate '${alias}' must come from RockdexDB.aggregates or be a function of the group rows`, 'INVALID_ARGUMENT'));
+                }
+            }
+
+            this._aggregates = { ...(this._aggregates || {}), ...specs };
+            return this;
+        }
+
+        /**
+         * Filter aggregated groups
+         * @param {string|Function} field - Group column or aggregate alias, or a predicate over the group row
+         * @param {string} operator
+         * @param {any} value
+         * @returns {RockdexDB}
+         */
+        having(field, operator, value) {
+            if (typeof field === 'function') {
+                this._having.push(field);
+            } else {
+                this._having.push(value === undefined ? this._buildCondition(field, '=', operator) : this._buildCondition(field, operator, value));
+            }
+            return this;
+        }
+
+        /**
+         * Whether the query groups or aggregates rows
+         * @private
+         */
+        _isAggregating() {
+            return this._groupBy !== null || this._aggregates !== null;
+        }
+
+        /**
+         * Matching rows, grouped and aggregated when the query asks for it, with
+         * the selected columns
+         * @private
+         */
+        _results(tableName) {
+            return this._present(tableName, this._isAggregating() ? this._getGrouped(tableName) : this._get(tableName));
+        }
+
+        /**
+         * Shape result rows for the caller: selected columns plus eager loaded relations
+         * @param {string} tableName
+         * @param {Array} rows
+         * @returns {Array}
+         * @private
+         */
+        _present(tableName, rows) {
+            if (this._with.size === 0) return this._project(rows);
+
+            // Relations are attached to copies, never to the stored rows
+            const outputs = this._select ? this._project(rows) : rows.map(row => ({ ...row }));
+            this._loadRelations(tableName, rows, outputs, this._with);
+            return outputs;
+        }
+
+        /**
+         * Run the aggregation pipeline: where -> group -> aggregate -> having -> orderBy/limit
+         * @param {string} tableName
+         * @returns {Array}
+         * @private
+         */
+        _getGrouped(tableName) {
+            // Conditions pick the input rows; ordering and limits apply to the groups
+            const { _orderBy: orderBy, _limit: limit, _offset: offset } = this;
+            let rows;
+            this._orderBy = [];
+            this._limit = null;
+            this._offset = 0;
+            try {
+                rows = this._get(tableName);
+            } finally {
+                this._orderBy = orderBy;
+                this._limit = limit;
+                this._offset = offset;
+            }
+
+            const columns = this._groupBy || [];
+            const specs = Object.entries(this._aggregates || {});
+            const newGroup = values => ({
+                values,
+                states: specs.map(([, spec]) => typeof spec === 'function' ? [] : AGGREGATE_REDUCERS[spec.aggregate].init())
+            });
+
+            // Single pass: every aggregate advances as each row is read
+            const groups = new Map();
+            for (const row of rows) {
+                const values = columns.map(column => {
+                    const value = getPath(row, column);
+                    return value === undefined ? null : value;
+                });
+                const key = JSON.stringify(values);
+                if (!groups.has(key)) groups.set(key, newGroup(values));
+
+                const group = groups.get(key);
+                specs.forEach(([, spec], i) => {
+                    if (typeof spec === 'function') {
+                        group.states[i].push(row);
+                        return;
+                    }
+                    if (spec.field === undefined) {
+                        group.states[i] = AGGREGATE_REDUCERS[spec.aggregate].step(group.states[i], row);
+                        return;
+                    }
+                    const value = getPath(row, spec.field);
+                    if (value !== null && value !== undefined) {
+                        group.states[i] = AGGREGATE_REDUCERS[spec.aggregate].step(group.states[i], value);
+                    }
+                });
+            }
+
+            // Without groupBy there is always exactly one result row, as in SQL
+            if (columns.length === 0 && groups.size === 0) {
+                groups.set('[]', newGroup([]));
+            }
+
+            let results = [...groups.values()].map(group => {
+                const result = {};
+                columns.forEach((column, i) => {
+                    result[column] = group.values[i];
+                });
+                specs.forEach(([alias, spec], i) => {
+                    result[alias] = typeof spec === 'function'
+                        ? spec(group.states[i])
+                        : AGGREGATE_REDUCERS[spec.aggregate].result(group.states[i]);
+                });
+                return result;
+            });
+
+            if (this._having.length > 0) {
+                results = results.filter(result => this._having.every(condition => (
+                    typeof condition === 'function' ? condition(result) : this._matchCondition(result, condition)
+                )));
+            }
+            if (orderBy.length > 0) {
+                results.sort((a, b) => this._compareRows(a, b, orderBy));
+            }
+            if (limit !== null) {
+                results = results.slice(offset, offset + limit);
+            }
+            return results;
+        }
+
+        /**
+         * Apply all conditions and modifiers to get results
+         * @param {Array} data
+         * @returns {Array}
          * @private
          */
-        _applyConditions(data) {
+        _applyConditions(data, presorted = false) {
             let results = [...data];
 
             // Apply where conditions
             if (this._whereConditions.length > 0) {
-                results = results.filter(row => {
-                    return this._whereConditions.every(condition => {
-                        switch (condition.operator) {
-                            case 'IN':
-                                return condition.value.includes(row[condition.field]);
-                            case 'LIKE':
-                                return String(row[condition.field]).includes(condition.value.replace(/%/g, ''));
-                            case '>':
-                                return row[condition.field] > condition.value;
-                            case '<':
-                                return row[condition.field] < condition.value;
-                            case '>=':
-                                return row[condition.field] >= condition.value;
-                            case '<=':
-                                return row[condition.field] <= condition.value;
-                            case '!=':
-                                return row[condition.field] !== condition.value;
-                            default:
-                                return row[condition.field] === condition.value;
-                        }
-                    });
-                });
+                results = results.filter(row => this._applyAllConditions(row));
             }
 
             // Apply search conditions
             if (this._searchConditions.length > 0) {
-                results = results.filter(row => {
-                    return this._searchConditions.some(([column, term]) => {
-                        return String(row[column]).toLowerCase().includes(String(term).toLowerCase());
-                    });
-                });
+                results = results.filter(row => this._matchesSearch(row));
             }
 
-            // Apply ordering
-            if (this._orderBy) {
-                results.sort((a, b) => {
-                    if (this._orderBy.direction === 'ASC') {
-                        return a[this._orderBy.column] > b[this._orderBy.column] ? 1 : -1;
-                    }
-                    return a[this._orderBy.column] < b[this._orderBy.column] ? 1 : -1;
-                });
+            // Apply ordering (Array#sort is stable, so ties keep the order rows were read in)
+            if (this._orderBy.length > 0 && !presorted) {
+                results.sort((a, b) => this._compareRows(a, b));
             }
 
             // Apply pagination
@@ -1193,6 +2883,150 @@
             return results;
         }
 
+        /**
+         * Compare two rows by the orderBy columns
+         * @param {Object} a
+         * @param {Object} b
+         * @param {Array} orderBy
+         * @returns {number}
+         * @private
+         */
+        _compareRows(a, b, orderBy = this._orderBy) {
+            for (const { column, direction, nulls, collator } of orderBy) {
+                const left = getPath(a, column);
+                const right = getPath(b, column);
+                const leftNull = left === null || left === undefined;
+                const rightNull = right === null || right === undefined;
+
+                if (leftNull || rightNull) {
+                    if (leftNull && rightNull) continue;
+                    // Null placement does not flip with the direction
+                    return leftNull === (nulls === 'FIRST') ? -1 : 1;
+                }
+
+                const result = collator && typeof left === 'string' && typeof right === 'string'
+                    ? collator.compare(left, right)
+                    : compareKeys(left, right);
+                if (result !== 0) return direction === 'DESC' ? -result : result;
+            }
+            return 0;
+        }
+
+        /**
+         * Check a row against search conditions (any column may match)
+         * @param {Object} row
+         * @param {Array} searchConditions
+         * @returns {boolean}
+         * @private
+         */
+        _matchesSearch(row, searchConditions = this._searchConditions) {
+            if (searchConditions.length === 0) return true;
+            return searchConditions.some(([column, term]) => {
+                return String(getPath(row, column)).toLowerCase().includes(String(term).toLowerCase());
+            });
+        }
+
+        /**
+         * Stream matching rows lazily, honouring where/search/orderBy/limit
+         * @param {string} tableName
+         * @returns {AsyncIterableIterator<Object>}
+         */
+        stream(tableName) {
+            return this._consume(() => {
+                if (!this._tables.has(tableName)) {
+                    throw this._fail(new TableNotFoundError(tableName));
+                }
+
+                // Groups and joins need every row before the first one is known
+                if (this._isAggregating() || this._joins.length > 0) {
+                    const groups = this._results(tableName);
+                    return (async function* () {
+                        yield* groups;
+                    })();
+                }
+
+                // Capture builder state now; the generator runs after the chain is reset
+                return this._streamRows(tableName, {
+                    whereConditions: this._whereConditions,
+                    searchConditions: this._searchConditions,
+                    orderBy: this._orderBy,
+                    limit: this._limit,
+                    offset: this._offset,
+                    select: this._select
+                });
+            });
+        }
+
+        /**
+         * Open a cursor over a table - alias of stream()
+         * @param {string} tableName
+         * @returns {AsyncIterableIterator<Object>}
+         */
+        cursor(tableName) {
+            return this.stream(tableName);
+        }
+
+        /**
+         * Yield the rows matching a captured query
+         * @param {string} tableName
+         * @param {Object} query
+         * @private
+         */
+        async *_streamRows(tableName, query) {
+            const matches = row => (!this._softDelete || !row.deleted_at) &&
+                this._applyAllConditions(row, query.whereConditions) &&
+                this._matchesSearch(row, query.searchConditions);
+
+            let rows = this._scanRows(tableName, matches);
+
+            // Ordering needs every match before the first row can be emitted
+            if (query.orderBy.length > 0) {
+                const sorted = [];
+                for await (const row of rows) {
+                    sorted.push(row);
+                }
+                sorted.sort((a, b) => this._compareRows(a, b, query.orderBy));
+                rows = sorted;
+            }
+
+            let skipped = 0;
+            let emitted = 0;
+            for await (const row of rows) {
+                if (skipped < query.offset) {
+                    skipped++;
+                    continue;
+                }
+                if (query.limit !== null && emitted >= query.limit) return;
+
+                emitted++;
+                yield this._projectRow(row, query.select);
+            }
+        }
+
+        /**
+         * Walk a table's rows in place, giving the event loop a turn after every
+         * chunk of chunkSize rows. Updates and deletes replace the row array, so
+         * a stream keeps reading the rows it started with; rows inserted while it
+         * is open may or may not be seen.
+         * @param {string} tableName
+         * @param {Function} predicate
+         * @private
+         */
+        async *_scanRows(tableName, predicate) {
+            const table = this._tables.get(tableName);
+            const chunkSize = this._optimizedStorage.chunkSize;
+
+            for (let start = 0; start < table.length; start += chunkSize) {
+                if (start > 0) await this._asyncEngine.nextTick();
+
+                const end = start + chunkSize;
+                // Re-read the length: a rollback can shrink the array while a row is being yielded
+                for (let i = start; i < end && i < table.length; i++) {
+                    if (predicate(table[i])) yield table[i];
+                }
+            }
+        }
+
         /**
          * Get the last insert ID
          * @returns {string|null}
@@ -1210,146 +3044,202 @@
          */
         update(tableName, data) {
             const startTime = performance.now();
+            const rows = this._consume(() => this._matchingRows(tableName));
+            const updatedCount = this._updateRows(tableName, rows, data);
+            
+            const updateTime = performance.now() - startTime;
+            this._log('update', { 
+                tableName, 
+                updatedCount,
+                updateTime: updateTime.toFixed(2) + 'ms',
+                indexUsed: this._metrics.indexUsage > 0,
+                storageMode: this._storageMode 
+            });
+            
+            return this;
+        }
 
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
-            }
+        /**
+         * Apply an update to the given rows of a table, then carry key changes
+         * over to referencing rows
+         * @param {string} tableName
+         * @param {Array} rows - Stored rows to update
+         * @param {Object} data
+         * @returns {number} Rows updated
+         * @private
+         */
+        _updateRows(tableName, rows, data) {
+            if (rows.length === 0) return 0;
 
             const updateData = { ...data };
             if (this._timestamps) {
                 updateData.updated_at = new Date().toISOString();
             }
 
-            // Schema validation
+            // Only the changed fields are validated, against the row as it will be stored
             const schema = this._schemas.get(tableName);
+            const partialSchema = {};
             if (schema) {
-                const partialSchema = {};
                 for (const field of Object.keys(updateData)) {
                     if (schema[field]) {
                         partialSchema[field] = schema[field];
                     }
                 }
-                if (Object.keys(partialSchema).length > 0) {
-                    this._validateRecord(updateData, partialSchema);
-                }
             }
+            const validated = Object.keys(partialSchema).length > 0;
 
             const table = this._tables.get(tableName);
-            let updatedCount = 0;
-            
-            // Use indexes for faster updates if possible
-            if (this._whereConditions.length > 0 && this._performanceEnabled) {
-                const primaryCondition = this._whereConditions[0];
-                const indexedResults = this._executeIndexedQuery(
-                    tableName, 
-                    primaryCondition.field, 
-                    primaryCondition.value,
-                    primaryCondition.operator
-                );
-                
-                if (indexedResults && indexedResults.length > 0) {
-                    // Update using indexed results
-            const updatedTable = table.map(row => {
-                        const isTargetRow = indexedResults.some(indexedRow => 
-                            indexedRow._rowIndex !== undefined ? 
-                            table.indexOf(row) === indexedRow._rowIndex :
-                            JSON.stringify(row) === JSON.stringify(indexedRow)
-                        );
-                        
-                        if (isTargetRow && this._applyAllConditions(row)) {
-                            const newData = { ...row, ...updateData };
-                            if (this._trigger(tableName, 'update', row, newData)) {
-                                updatedCount++;
-                                
-                                // Log to WAL
-                                if (this._walLogs.has(tableName)) {
-                                    this._walLogs.get(tableName).logOperation('UPDATE', newData, row);
-                                }
-                                
-                                return newData;
-                            }
-                        }
-                        return row;
-                    });
-                    
-                    this._tables.set(tableName, updatedTable);
-                } else {
-                    // Fallback to full table scan
-                    updatedCount = this._updateFallback(tableName, updateData);
+            const targets = new Set(rows);
+            const changes = [];
+
+            let updatedTable;
+            try {
+                updatedTable = table.map(row => {
+                    if (!targets.has(row)) return row;
+
+                    const newData = { ...row, ...updateData };
+                    if (validated) {
+                        this._validateRecord(newData, partialSchema, tableName);
+                    }
+                    if (!this._trigger(tableName, 'update', row, newData)) return row;
+
+                    // Checked against rows updated earlier in this call too
+                    this._checkUnique(tableName, newData, row);
+                    this._checkReferences(tableName, newData, updateData);
+                    this._replaceIndexedRow(tableName, row, newData);
+                    changes.push({ oldRow: row, newRow: newData });
+
+                    return newData;
+                });
+                this._assertRekeyable(tableName, changes);
+            } catch (error) {
+                // Leave indexes as they were; the table itself has not been replaced yet
+                for (const { oldRow, newRow } of changes.reverse()) {
+                    this._replaceIndexedRow(tableName, newRow, oldRow);
                 }
-            } else {
-                // No indexes available - use traditional update
-                updatedCount = this._updateFallback(tableName, updateData);
+                throw error;
             }
 
-            this._resetConditions();
-            
-            const updateTime = performance.now() - startTime;
-            this._log('update', { 
-                tableName, 
-                updatedCount,
-                updateTime: updateTime.toFixed(2) + 'ms',
-                indexUsed: this._metrics.indexUsage > 0,
-                storageMode: this._storageMode 
-            });
-            
-            return this;
+            // Log to WAL
+            for (const { oldRow, newRow } of changes) {
+                this._logChange(tableName, 'UPDATE', newRow, oldRow);
+            }
+
+            this._tables.set(tableName, updatedTable);
+
+            if (changes.length > 0) {
+                this._tableChanged(tableName);
+                this._applyUpdateActions(tableName, changes);
+            }
+
+            return changes.length;
+        }
+
+        /**
+         * Stored rows matching the where conditions, for update and delete
+         * @param {string} tableName
+         * @returns {Array}
+         * @private
+         */
+        _matchingRows(tableName) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            const candidates = this._indexCandidates(tableName);
+            return this._tables.get(tableName).filter(row => (
+                (!candidates || candidates.has(row)) && this._applyAllConditions(row)
+            ));
         }
 
         /**
-         * Fallback update method for when indexes aren't available
+         * Rows that can match the current where conditions according to an index,
+         * or null when no index applies and every row must be checked
+         * @param {string} tableName
+         * @returns {Set<Object>|null}
          * @private
          */
-        _updateFallback(tableName, updateData) {
-            const table = this._tables.get(tableName);
-            let updatedCount = 0;
-            
-            const updatedTable = table.map(row => {
-                if (this._applyAllConditions(row)) {
-                    const newData = { ...row, ...updateData };
-                    if (this._trigger(tableName, 'update', row, newData)) {
-                        updatedCount++;
-                        
-                        // Log to WAL
-                        if (this._walLogs.has(tableName)) {
-                            this._walLogs.get(tableName).logOperation('UPDATE', newData, row);
-                        }
-                        
-                        return newData;
-                    }
-                }
-                return row;
-            });
-            
-            this._tables.set(tableName, updatedTable);
-            return updatedCount;
+        _indexCandidates(tableName) {
+            if (this._whereConditions.length === 0 || !this._performanceEnabled) return null;
+
+            const indexedResults = this._indexLookup(tableName);
+            return indexedResults ? new Set(indexedResults) : null;
         }
 
         /**
          * Apply all conditions to a single row
+         *
+         * Conditions combine like SQL, with AND binding tighter than OR: the list
+         * is read as OR-separated runs of AND-ed conditions, and a group entry
+         * nests its own list in parentheses.
          * @private
          */
-        _applyAllConditions(row) {
-            return this._whereConditions.every(condition => {
-                switch (condition.operator) {
-                    case 'IN':
-                        return condition.value.includes(row[condition.field]);
-                    case 'LIKE':
-                        return String(row[condition.field]).includes(condition.value.replace(/%/g, ''));
-                    case '>':
-                        return row[condition.field] > condition.value;
-                    case '<':
-                        return row[condition.field] < condition.value;
-                    case '>=':
-                        return row[condition.field] >= condition.value;
-                    case '<=':
-                        return row[condition.field] <= condition.value;
-                    case '!=':
-                        return row[condition.field] !== condition.value;
-                    default:
-                        return row[condition.field] === condition.value;
-                }
+        _applyAllConditions(row, conditions = this._whereConditions) {
+            return this._splitOrBranches(conditions).some(branch => branch.every(condition => (
+                condition.group
+                    ? this._applyAllConditions(row, condition.group)
+                    : this._matchCondition(row, condition)
+            )));
+        }
+
+        /**
+         * Split a condition list into its OR-separated runs of AND-ed conditions
+         * @param {Array} conditions
+         * @returns {Array<Array>}
+         * @private
+         */
+        _splitOrBranches(conditions) {
+            const branches = [[]];
+            conditions.forEach((condition, i) => {
+                if (i > 0 && condition.logic === 'OR') branches.push([]);
+                branches[branches.length - 1].push(condition);
             });
+            return branches;
+        }
+
+        /**
+         * Check a row against a single condition
+         * @private
+         */
+        _matchCondition(row, condition) {
+            const value = getPath(row, condition.field);
+            switch (condition.operator) {
+                case 'IN':
+                    return condition.value.includes(value);
+                case 'NOT IN':
+                    return !condition.value.includes(value);
+                case 'BETWEEN':
+                    return value !== null && value !== undefined &&
+                        value >= condition.value[0] && value <= condition.value[1];
+                case 'CONTAINS':
+                    return arrayContains(value, condition.value);
+                case 'CONTAINS_ANY':
+                    return condition.value.some(item => arrayContains(value, item));
+                case 'CONTAINS_ALL':
+                    return Array.isArray(value) && condition.value.every(item => arrayContains(value, item));
+                case 'IS NULL':
+                    return value === null || value === undefined;
+                case 'IS NOT NULL':
+                    return value !== null && value !== undefined;
+                case 'LIKE':
+                case 'ILIKE':
+                case 'REGEXP':
+                    return value !== null && value !== undefined && condition.pattern.test(String(value));
+                case 'NOT LIKE':
+                    return value !== null && value !== undefined && !condition.pattern.test(String(value));
+                case '>':
+                    return value > condition.value;
+                case '<':
+                    return value < condition.value;
+                case '>=':
+                    return value >= condition.value;
+                case '<=':
+                    return value <= condition.value;
+                case '!=':
+                    return value !== condition.value;
+                default:
+                    return value === condition.value;
+            }
         }
 
         /**
@@ -1358,40 +3248,72 @@
          * @returns {RockdexDB}
          */
         delete(tableName) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+            const rows = this._consume(() => this._matchingRows(tableName));
+            const deletedCount = this._deleteRows(tableName, rows);
+
+            this._log('delete', { tableName, deletedCount, softDelete: this._softDelete, storageMode: this._storageMode });
+            return this;
+        }
+
+        /**
+         * Delete (or soft delete) the given rows of a table after applying the
+         * onDelete actions of relations referencing them
+         * @param {string} tableName
+         * @param {Array} rows - Stored rows to delete
+         * @returns {number} Rows deleted
+         * @private
+         */
+        _deleteRows(tableName, rows) {
+            // Rows already being deleted further up a cascade are left to that call
+            const targets = rows.filter(row => (
+                !this._pendingDeletes.has(row) && this._trigger(tableName, 'delete', row, null)
+            ));
+            if (targets.length === 0) return 0;
+
+            // Nothing is touched until every restrict along the cascade has passed
+            this._assertDeletable(tableName, targets, new Set(targets));
+
+            targets.forEach(row => this._pendingDeletes.add(row));
+            try {
+                this._applyDeleteActions(tableName, targets);
+            } finally {
+                targets.forEach(row => this._pendingDeletes.delete(row));
             }
 
+            // Re-read the table: cascades may have replaced it
             const table = this._tables.get(tableName);
-            let deletedCount = 0;
+            const doomed = new Set(targets);
 
             if (this._softDelete) {
                 // Soft delete - just mark as deleted
+                const deletedAt = new Date().toISOString();
                 const updatedTable = table.map(row => {
-                    let shouldDelete = this._whereConditions.every(condition =>
-                        row[condition.field] === condition.value
-                    );
-                    shouldDelete = shouldDelete && this._trigger(tableName, 'delete', row, null);
-                    if (shouldDelete) deletedCount++;
-                    return shouldDelete ? { ...row, deleted_at: new Date().toISOString() } : row;
+                    if (!doomed.has(row)) return row;
+
+                    const deletedRow = { ...row, deleted_at: deletedAt };
+                    this._replaceIndexedRow(tableName, row, deletedRow);
+                    this._logChange(tableName, 'UPDATE', deletedRow, row);
+                    return deletedRow;
                 });
                 this._tables.set(tableName, updatedTable);
             } else {
                 // Hard delete - remove the records
+                let kept = 0;
                 const filteredTable = table.filter(row => {
-                    let shouldDelete = this._whereConditions.every(condition =>
-                        row[condition.field] === condition.value
-                    );
-                    shouldDelete = shouldDelete && this._trigger(tableName, 'delete', row, null);
-                    if (shouldDelete) deletedCount++;
-                    return !shouldDelete;
+                    if (!doomed.has(row)) {
+                        kept++;
+                        return true;
+                    }
+
+                    this._unindexRow(tableName, row);
+                    this._logChange(tableName, 'DELETE', row, null, kept);
+                    return false;
                 });
                 this._tables.set(tableName, filteredTable);
             }
 
-            this._log('delete', { tableName, deletedCount, softDelete: this._softDelete, storageMode: this._storageMode });
-            this._resetConditions();
-            return this;
+            this._tableChanged(tableName);
+            return targets.length;
         }
 
         /**
@@ -1400,8 +3322,7 @@
          * @returns {string}
          */
         toJSON(tableName) {
-            const data = this._get(tableName);
-            this._resetConditions();
+            const data = this._consume(() => this._results(tableName));
             return JSON.stringify(data, null, 2);
         }
 
@@ -1412,15 +3333,42 @@
          * @returns {RockdexDB}
          */
         fromJSON(tableName, jsonData) {
+            let data;
             try {
-                const data = JSON.parse(jsonData);
-                this.setTable(tableName, data);
-                return this;
+                data = JSON.parse(jsonData);
             } catch (error) {
-                this._lastError = error;
-                throw new Error('Invalid JSON data');
+                throw this._fail(new ImportFormatError('Invalid JSON data', { table: tableName, cause: error }));
+            }
+            if (!Array.isArray(data)) {
+                throw this._fail(new ImportFormatError('JSON data must be an array of rows', { table: tableName }));
             }
-        }
+
+            this.setTable(tableName, data);
+            return this;
+        }
+
+        /**
+         * Record an error as the last error before it is thrown
+         * @param {Error} error
+         * @returns {Error}
+         * @private
+         */
+        _fail(error) {
+            this._lastError = error;
+            return error;
+        }
+
+        /**
+         * Record an error raised by a builder method and clear the chain, so a
+         * failed call does not leak its earlier conditions into the next query
+         * @param {Error} error
+         * @returns {Error}
+         * @private
+         */
+        _failBuilder(error) {
+            this._resetConditions();
+            return this._fail(error);
+        }
 
         /**
          * Get the last error
@@ -1440,14 +3388,74 @@
         }
 
         /**
-         * Validate schema for a table
+         * Check a record against a table's schema without writing anything
+         * @param {string} tableName
+         * @param {Object} record
+         * @returns {Array<{field: string, rule: string, expected: *, actual: *, message: string}>} Every broken rule, empty when valid
+         * @example db.validate('users', form).forEach(v => showError(v.field, v.message))
+         */
+        validate(tableName, record) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+            if (!record || typeof record !== 'object') {
+                throw this._fail(new RockdexError('Record must be an object', 'INVALID_ARGUMENT'));
+            }
+
+            const schema = this._schemas.get(tableName);
+            return schema ? this._schemaViolations(record, schema) : [];
+        }
+
+        /**
+         * Check every stored row of a table against its schema, or against a
+         * schema you are about to pass to updateSchema()
+         * @param {string} tableName
+         * @param {Object} schema - Defaults to the table's schema
+         * @returns {{valid: boolean, total: number, invalid: number, rows: Array<{index: number, id: *, violations: Array}>}} Only rows with violations are listed
+         */
+        validateTable(tableName, schema = null) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            const table = this._tables.get(tableName);
+            const rows = this._schemaReport(table, schema || this._schemas.get(tableName) || {});
+            return { valid: rows.length === 0, total: table.length, invalid: rows.length, rows };
+        }
+
+        /**
+         * Per-row violations for a set of rows
+         * @param {Array} data
+         * @param {Object} schema
+         * @returns {Array<{index: number, id: *, violations: Array}>}
+         * @private
+         */
+        _schemaReport(data, schema) {
+            const report = [];
+            data.forEach((row, index) => {
+                const violations = this._schemaViolations(row, schema);
+                if (violations.length > 0) {
+                    report.push({ index, id: row.id, violations });
+                }
+            });
+            return report;
+        }
+
+        /**
+         * Validate schema for a table, reporting every invalid row on the error
          * @param {Array} data
          * @param {Object} schema
+         * @param {string|null} tableName - Reported on errors
          * @private
          */
-        _validateSchema(data, schema) {
-            for (const row of data) {
-                this._validateRecord(row, schema);
+        _validateSchema(data, schema, tableName = null) {
+            const rows = this._schemaReport(data, schema);
+            if (rows.length > 0) {
+                const { index, violations } = rows[0];
+                throw this._schemaError(tableName, violations, {
+                    message: `Row ${index}: ${violations[0].message} (${rows.length} invalid row${rows.length === 1 ? '' : 's'})`,
+                    rows
+                });
             }
         }
 
@@ -1455,27 +3463,120 @@
          * Validate single record against schema
          * @param {Object} record
          * @param {Object} schema
+         * @param {string|null} tableName - Reported on errors
+         * @private
+         */
+        _validateRecord(record, schema, tableName = null) {
+            const violations = this._schemaViolations(record, schema);
+            if (violations.length > 0) {
+                throw this._schemaError(tableName, violations);
+            }
+        }
+
+        /**
+         * Build the error for a failed validation; field and rule come from the first violation
+         * @param {string|null} tableName
+         * @param {Array} violations
+         * @param {Object} extra - Optional message and per-row report
+         * @returns {SchemaValidationError}
+         * @private
+         */
+        _schemaError(tableName, violations, extra = {}) {
+            const [{ field, rule, expected, actual, message }] = violations;
+            return this._fail(new SchemaValidationError(extra.message || message, {
+                table: tableName, field, rule, expected, actual, violations, rows: extra.rows
+            }));
+        }
+
+        /**
+         * Collect every rule a record breaks
+         * @param {Object} record
+         * @param {Object} schema
+         * @returns {Array<{field: string, rule: string, expected: *, actual: *, message: string}>}
          * @private
          */
-        _validateRecord(record, schema) {
+        _schemaViolations(record, schema) {
+            const violations = [];
             for (const [field, rules] of Object.entries(schema)) {
-                if (rules.required && (record[field] === undefined || record[field] === null)) {
-                    throw new Error(`Field '${field}' is required`);
-                }
-                if (rules.type && record[field] !== undefined && typeof record[field] !== rules.type) {
-                    throw new Error(`Field '${field}' must be of type ${rules.type}`);
-                }
-                if (rules.min && record[field] < rules.min) {
-                    throw new Error(`Field '${field}' must be at least ${rules.min}`);
+                this._checkField(record[field], rules, field, record, violations);
+            }
+            return violations;
+        }
+
+        /**
+         * Check one value against its rules, descending into array items and object properties.
+         * Missing values only break `required`, null is rejected unless the field is nullable,
+         * and a value of the wrong type skips the rules that depend on the type.
+         * @param {*} value
+         * @param {Object} rules
+         * @param {string} field - Reported path, e.g. 'address.city' or 'tags[0]'
+         * @param {Object} record - Top-level record, passed to custom validators
+         * @param {Array} violations - Receives the broken rules
+         * @private
+         */
+        _checkField(value, rules, field, record, violations) {
+            const add = (rule, expected, message) => {
+                violations.push({ field, rule, expected, actual: value, message });
+            };
+
+            if (value === undefined || value === null) {
+                if (rules.required && !(value === null && rules.nullable)) {
+                    add('required', true, `Field '${field}' is required`);
+                } else if (value === null && !rules.nullable && (rules.type || rules.enum)) {
+                    add('nullable', false, `Field '${field}' cannot be null`);
                 }
-                if (rules.max && record[field] > rules.max) {
-                    throw new Error(`Field '${field}' must be at most ${rules.max}`);
+                return;
+            }
+
+            if (rules.type) {
+                const matches = SCHEMA_TYPES[rules.type] || (v => typeof v === rules.type);
+                if (!matches(value)) {
+                    add('type', rules.type, `Field '${field}' must be of type ${rules.type}`);
+                    return;
                 }
-                if (rules.length && String(record[field]).length !== rules.length) {
-                    throw new Error(`Field '${field}' must be exactly ${rules.length} characters long`);
+            }
+
+            if (rules.enum && !rules.enum.includes(value)) {
+                add('enum', rules.enum, `Field '${field}' must be one of ${rules.enum.map(option => JSON.stringify(option)).join(', ')}`);
+            }
+
+            // Dates compare by time, whether given as Date objects or ISO strings
+            const comparable = v => rules.type === 'date' ? new Date(v).getTime() : v;
+            if (rules.min !== undefined && rules.min !== null && comparable(value) < comparable(rules.min)) {
+                add('min', rules.min, `Field '${field}' must be at least ${rules.min}`);
+            }
+            if (rules.max !== undefined && rules.max !== null && comparable(value) > comparable(rules.max)) {
+                add('max', rules.max, `Field '${field}' must be at most ${rules.max}`);
+            }
+
+            const length = Array.isArray(value) ? value.length : String(value).length;
+            if (rules.length !== undefined && length !== rules.length) {
+                add('length', rules.length, `Field '${field}' must be exactly ${rules.length} characters long`);
+            }
+            if (rules.minLength !== undefined && length < rules.minLength) {
+                add('minLength', rules.minLength, `Field '${field}' must have a length of at least ${rules.minLength}`);
+            }
+            if (rules.maxLength !== undefined && length > rules.maxLength) {
+                add('maxLength', rules.maxLength, `Field '${field}' must have a length of at most ${rules.maxLength}`);
+            }
+            if (rules.pattern && !rules.pattern.test(String(value))) {
+                add('pattern', String(rules.pattern), `Field '${field}' does not match required pattern`);
+            }
+
+            if (rules.items && Array.isArray(value)) {
+                value.forEach((item, i) => this._checkField(item, rules.items, `${field}[${i}]`, record, violations));
+            }
+            if (rules.properties && typeof value === 'object' && !Array.isArray(value)) {
+                for (const [key, propertyRules] of Object.entries(rules.properties)) {
+                    this._checkField(value[key], propertyRules, `${field}.${key}`, record, violations);
                 }
-                if (rules.pattern && !rules.pattern.test(String(record[field]))) {
-                    throw new Error(`Field '${field}' does not match required pattern`);
+            }
+
+            // Custom validators return false, or a message, to reject the value
+            if (typeof rules.validate === 'function') {
+                const result = rules.validate(value, record);
+                if (result === false || typeof result === 'string') {
+                    add('validate', rules.validate.name || 'validate', typeof result === 'string' ? result : `Field '${field}' is invalid`);
                 }
             }
         }
@@ -1513,18 +3614,30 @@
          */
         restore(backup) {
             try {
+                for (const tableName of new Set([...this._tables.keys(), ...Object.keys(backup.data)])) {
+                    this._saveTableState(tableName);
+                }
                 this._tables = new Map(Object.entries(backup.data));
                 this._relationships = new Map(Object.entries(backup.metadata.relationships));
+                for (const tableName of [...this._indexes.keys()]) {
+                    this._rebuildIndexes(tableName);
+                }
+                for (const tableName of this._tables.keys()) {
+                    this._tableReplaced(tableName);
+                }
                 this._log('restore', { timestamp: backup.timestamp });
                 return this;
             } catch (error) {
-                this._lastError = error;
-                throw new Error('Invalid backup data');
+                throw this._fail(new ImportFormatError('Invalid backup data', { cause: error }));
             }
         }
 
         /**
-         * Join two tables
+         * Join two tables (left join)
+         *
+         * Returns one row per match with every column prefixed by its table name
+         * (users_id, posts_title). Rows without a match keep null right-hand columns.
+         * Where, orderBy, limit and select apply to the joined rows.
          * @param {string} table1
          * @param {string} table2
          * @param {string} key1
@@ -1532,197 +3645,797 @@
          * @returns {Array}
          */
         join(table1, table2, key1, key2) {
-            const data1 = this._tables.get(table1);
-            const data2 = this._tables.get(table2);
-
-            if (!data1 || !data2) {
-                throw new Error('One or both tables do not exist');
+            for (const tableName of [table1, table2]) {
+                if (!this._tables.has(tableName)) {
+                    throw this._fail(new TableNotFoundError(tableName));
+                }
             }
 
-            return data1.map(row1 => {
-                const matching = data2.find(row2 => row2[key2] === row1[key1]);
-                if (matching) {
-                    // Create a new object to avoid column name conflicts
-                    const joined = {};
-                    // First, copy all properties from the first table
-                    Object.keys(row1).forEach(key => {
-                        joined[`${table1}_${key}`] = row1[key];
-                    });
-                    // Then, copy all properties from the second table
-                    Object.keys(matching).forEach(key => {
-                        joined[`${table2}_${key}`] = matching[key];
-                    });
-                    return joined;
-                }
-                return row1;
-            });
+            return this._consume(() => this.leftJoin(table2, `${table1}_${key1}`, key2)._results(table1));
         }
 
         /**
-         * Execute a transaction
-         * @param {Function} callback
+         * Inner join another table into the query; only rows with a match are kept
+         *
+         * Joined rows prefix every column with its table name (or alias, given as
+         * 'users as author'), so leftKey, where, orderBy and select use those names.
+         * @param {string} table - Table to join, optionally 'table as alias'
+         * @param {string} leftKey - Prefixed column of the rows joined so far, e.g. 'users_id'
+         * @param {string} rightKey - Column of the joined table, e.g. 'user_id'
          * @returns {RockdexDB}
+         * @example db.innerJoin('posts', 'users_id', 'user_id').where('posts_published', true).get('users')
          */
-        transaction(callback) {
-            const backup = this.backup();
-            try {
-                callback(this);
-                this._log('transaction', { status: 'committed' });
-                return this;
-            } catch (error) {
-                this.restore(backup);
-                this._log('transaction', { status: 'rollback', error: error.message });
-                throw error;
-            }
+        innerJoin(table, leftKey, rightKey) {
+            return this._addJoin('inner', table, leftKey, rightKey);
         }
 
         /**
-         * Paginate results
-         * @param {string} tableName
-         * @param {number} page
-         * @param {number} perPage
-         * @returns {Object}
+         * Left join - every row so far is kept, unmatched ones with null joined columns
+         * @param {string} table
+         * @param {string} leftKey
+         * @param {string} rightKey
+         * @returns {RockdexDB}
          */
-        paginate(tableName, page = 1, perPage = 10) {
-            const total = this.count(tableName);
-            const totalPages = Math.ceil(total / perPage);
-            const offset = (page - 1) * perPage;
+        leftJoin(table, leftKey, rightKey) {
+            return this._addJoin('left', table, leftKey, rightKey);
+        }
 
-            const results = this.limit(perPage, offset)._get(tableName);
-            this._resetConditions();
+        /**
+         * Right join - every row of the joined table is kept
+         * @param {string} table
+         * @param {string} leftKey
+         * @param {string} rightKey
+         * @returns {RockdexDB}
+         */
+        rightJoin(table, leftKey, rightKey) {
+            return this._addJoin('right', table, leftKey, rightKey);
+        }
 
-            return {
-                data: results,
-                pagination: {
-                    total,
-                    perPage,
-                    currentPage: page,
-                    totalPages,
-                    hasNextPage: page < totalPages,
-                    hasPrevPage: page > 1
+        /**
+         * Full outer join - unmatched rows from both sides are kept
+         * @param {string} table
+         * @param {string} leftKey
+         * @param {string} rightKey
+         * @returns {RockdexDB}
+         */
+        fullJoin(table, leftKey, rightKey) {
+            return this._addJoin('full', table, leftKey, rightKey);
+        }
+
+        /**
+         * Record a join for the next query
+         * @private
+         */
+        _addJoin(type, table, leftKey, rightKey) {
+            const match = /^\s*(\S+)\s+as\s+(\S+)\s*$/i.exec(table);
+            this._joins.push({
+                type,
+                table: match ? match[1] : table,
+                alias: match ? match[2] : table,
+                leftKey,
+                rightKey
+            });
+            return this;
+        }
+
+        /**
+         * Run the joins of the query, then its conditions, ordering and limits
+         * @param {string} tableName - Base table
+         * @returns {Array}
+         * @private
+         */
+        _getJoined(tableName) {
+            let rows = this._visibleRows(tableName).map(row => this._prefixRow(tableName, row));
+            for (const join of this._joins) {
+                if (!this._tables.has(join.table)) {
+                    throw this._fail(new TableNotFoundError(join.table));
                 }
-            };
+                rows = this._joinRows(rows, join);
+            }
+            return this._applyConditions(rows);
         }
 
         /**
-         * Execute raw query using custom filter function
-         * @param {string} tableName
-         * @param {Function} filterFn
+         * Join one table into the rows built so far
+         * @param {Array} leftRows
+         * @param {Object} join
          * @returns {Array}
+         * @private
          */
-        raw(tableName, filterFn) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+        _joinRows(leftRows, join) {
+            const { type, table, alias, leftKey, rightKey } = join;
+            const rightRows = this._visibleRows(table);
+            const lookup = this._joinLookup(table, rightRows, rightKey, leftRows.length);
+            const matchedRight = new Set();
+            const rightNulls = type === 'left' || type === 'full' ? this._nullColumns(rightRows, alias) : null;
+            const joined = [];
+
+            for (const left of leftRows) {
+                const key = getPath(left, leftKey);
+                // NULL never equals anything in a join condition
+                const matches = key === null || key === undefined ? [] : lookup(key);
+                for (const right of matches) {
+                    matchedRight.add(right);
+                    joined.push({ ...left, ...this._prefixRow(alias, right) });
+                }
+                if (matches.length === 0 && rightNulls) {
+                    joined.push({ ...left, ...rightNulls });
+                }
             }
 
-            const table = this._tables.get(tableName);
-            return table.filter(filterFn);
+            if (type === 'right' || type === 'full') {
+                const leftNulls = this._nullColumns(leftRows);
+                for (const right of rightRows) {
+                    if (!matchedRight.has(right)) {
+                        joined.push({ ...leftNulls, ...this._prefixRow(alias, right) });
+                    }
+                }
+            }
+            return joined;
         }
 
         /**
-         * Clear all data from a table
-         * @param {string} tableName
-         * @returns {RockdexDB}
+         * Find the rows of a joined table for a key - through an index on the join
+         * column when the other side is smaller, otherwise through a hash table
+         * built in one pass
+         * @param {string} table
+         * @param {Array} rows - Visible rows of the table
+         * @param {string} column
+         * @param {number} probes - Number of lookups that will be made
+         * @returns {Function} key => rows
+         * @private
          */
-        truncate(tableName) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+        _joinLookup(table, rows, column, probes) {
+            const index = (this._indexes.get(table) || new Map()).get(column);
+            if (index && !index.multikey && this._performanceEnabled && probes < rows.length) {
+                this._metrics.indexUsage++;
+                return key => index.search(key).filter(row => !this._softDelete || !row.deleted_at);
             }
 
-            this._tables.set(tableName, []);
-            this._log('truncate', { tableName });
-            return this;
+            const hash = new Map();
+            for (const row of rows) {
+                const value = getPath(row, column);
+                if (value === null || value === undefined) continue;
+                const key = hashKey(value);
+                if (!hash.has(key)) hash.set(key, []);
+                hash.get(key).push(row);
+            }
+            return key => hash.get(hashKey(key)) || [];
         }
 
         /**
-         * Get table schema
-         * @param {string} tableName
-         * @returns {Object|null}
+         * Rows of a table, without soft deleted ones
+         * @private
          */
-        getSchema(tableName) {
-            return this._schemas.get(tableName) || null;
+        _visibleRows(tableName) {
+            const rows = this._tables.get(tableName);
+            return this._softDelete ? rows.filter(row => !row.deleted_at) : rows;
         }
 
         /**
-         * Update table schema
-         * @param {string} tableName
-         * @param {Object} schema
-         * @returns {RockdexDB}
+         * Copy a row with every column prefixed by the table name
+         * @private
          */
-        updateSchema(tableName, schema) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+        _prefixRow(prefix, row) {
+            const prefixed = {};
+            for (const key of Object.keys(row)) {
+                prefixed[`${prefix}_${key}`] = row[key];
             }
+            return prefixed;
+        }
 
-            this._schemas.set(tableName, schema);
+        /**
+         * Null value for every column seen in the rows, for unmatched join sides
+         * @param {Array} rows
+         * @param {string} prefix - Prefix to add, when the rows are not prefixed yet
+         * @returns {Object}
+         * @private
+         */
+        _nullColumns(rows, prefix = null) {
+            const nulls = {};
+            for (const row of rows) {
+                for (const key of Object.keys(row)) {
+                    nulls[prefix ? `${prefix}_${key}` : key] = null;
+                }
+            }
+            return nulls;
+        }
 
-            // Validate existing data against new schema
-            const table = this._tables.get(tableName);
-            this._validateSchema(table, schema);
+        /**
+         * Execute a transaction
+         *
+         * Changes are kept in an undo log rather than a copy of the database, so
+         * rollback costs as much as the work it undoes. Nothing reaches the
+         * write-ahead log or disk until the outermost transaction commits; a
+         * nested transaction that fails only undoes its own changes.
+         *
+         * An async callback keeps the transaction open until its promise settles
+         * and rolls back if it rejects; transaction() then returns a promise.
+         * Only the callback's own writes belong to the transaction: those made
+         * through the handle it receives, and in Node.js any made from the
+         * callback's async context. Writes made elsewhere while it awaits are
+         * applied and logged straight away and survive its rollback. Other
+         * transactions started meanwhile wait their turn, while transaction()
+         * called from inside the callback nests.
+         *
+         * A sync callback always returns the database: if an async transaction
+         * is open elsewhere it cannot wait, so transaction() throws INVALID_STATE
+         * instead. Only `async function` callbacks queue and get a promise.
+         *
+         * Browsers have no async context to follow the callback across awaits,
+         * so after its first await every write, and any nested transaction,
+         * must go through the handle (tx.insert(), tx.transaction()).
+         * @param {Function} callback - Receives the transaction handle
+         * @returns {RockdexDB|Promise<RockdexDB>} The database for a sync callback, a promise for an async one
+         * @example await db.transaction(async tx => { await tx.bulkInsert('users', rows); tx.insert('audit', entry); })
+         */
+        transaction(callback) {
+            if (this._currentTransaction()) return this._runTransaction(callback);
 
-            this._log('updateSchema', { tableName });
-            return this;
+            if (!(callback instanceof AsyncFunction)) {
+                if (this._openTransactions.size > 0 || this._queuedTransactions > 0) {
+                    throw this._fail(new RockdexError('An async transaction is open; pass an async callback to wait for it', 'INVALID_STATE'));
+                }
+                // Everything the tail waited for has settled; a promise this callback returns becomes the new one
+                this._transactionTail = null;
+            } else if (this._transactionTail) {
+                // An async transaction holds the instance: queue behind it
+                this._queuedTransactions++;
+                const turn = this._transactionTail.then(() => {
+                    this._queuedTransactions--;
+                    return this._runTransaction(callback);
+                });
+                this._holdTransactions(turn);
+                return turn;
+            }
+            return this._runTransaction(callback);
         }
 
         /**
-         * Reset all query conditions
-         * @private
+         * Mark a point in the open transaction to roll back to later
+         * @param {string} name - Optional name to pass to rollbackTo()
+         * @returns {Object} Savepoint
          */
-        _resetConditions() {
-            this._whereConditions = [];
-            this._operator = 'AND';
-            this._orderBy = null;
-            this._limit = null;
-            this._offset = 0;
-            this._searchConditions = [];
+        savepoint(name = null) {
+            const transaction = this._currentTransaction();
+            if (!transaction) {
+                throw this._fail(new RockdexError('savepoint() needs an open transaction', 'INVALID_STATE'));
+            }
+
+            const savepoint = this._savepoint(transaction);
+            savepoint.name = name;
+            this._log('savepoint', { name, mark: savepoint.mark });
+            return savepoint;
         }
 
         /**
-         * Export table to downloadable .rdb file (Browser only)
-         * @param {string} tableName
+         * Undo the open transaction's changes made after a savepoint; the
+         * savepoint stays usable, later ones are released
+         * @param {Object|string} savepoint - Savepoint or its name
          * @returns {RockdexDB}
          */
-        exportTable(tableName) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+        rollbackTo(savepoint) {
+            const transaction = this._currentTransaction();
+            if (!transaction) {
+                throw this._fail(new RockdexError('rollbackTo() needs an open transaction', 'INVALID_STATE'));
             }
 
-            if (this._isBrowser) {
-                this._downloadTableFile(tableName);
-            } else {
-                throw new Error('File download only available in browser. Use getTableExport() for Node.js.');
+            const target = typeof savepoint === 'string'
+                ? [...transaction.savepoints].reverse().find(candidate => candidate.name === savepoint)
+                : savepoint;
+            if (!target || !transaction.savepoints.includes(target)) {
+                throw this._fail(new RockdexError(`Unknown savepoint '${typeof savepoint === 'string' ? savepoint : 'object'}'`, 'NOT_FOUND'));
             }
 
+            this._rollbackTo(transaction, target);
+            this._log('rollbackTo', { name: target.name, mark: target.mark });
             return this;
         }
 
         /**
-         * Get table export data as string (works in both Node.js and Browser)
-         * @param {string} tableName
-         * @returns {string}
+         * Run a transaction, nested in the open one if any
+         * @private
          */
-        getTableExport(tableName) {
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+        _runTransaction(callback) {
+            const outer = this._currentTransaction();
+            const transaction = outer || { owner: this, changes: [], touched: new Set(), replaced: new Set(), savepoints: [] };
+            const savepoint = this._savepoint(transaction);
+            if (!outer) this._openTransactions.add(transaction);
+
+            const rollback = error => {
+                try {
+                    this._rollbackTo(transaction, savepoint);
+                } finally {
+                    this._forgetSavepoint(transaction, savepoint);
+                    if (!outer) {
+                        this._openTransactions.delete(transaction);
+                        // Snapshots held back while the transaction was open
+                        this._schedulePersist();
+                    }
+                }
+                this._log('transaction', { status: 'rollback', error: error.message });
+                throw error;
+            };
+            const commit = () => {
+                this._forgetSavepoint(transaction, savepoint);
+                if (!outer) {
+                    this._openTransactions.delete(transaction);
+                    this._commit(transaction);
+                }
+                this._log('transaction', { status: 'committed', nested: Boolean(outer) });
+                return this;
+            };
+
+            const handle = this._transactionHandle(transaction);
+            const context = getTransactionContext();
+            let result;
+            try {
+                result = this._within(transaction, () => (
+                    context ? context.run(transaction, () => callback(handle)) : callback(handle)
+                ));
+            } catch (error) {
+                return rollback(error);
             }
 
-            return this._exportTableData(tableName);
+            if (!result || typeof result.then !== 'function') {
+                return commit();
+            }
+
+            const settled = Promise.resolve(result).then(commit, rollback);
+            if (!outer && !this._transactionTail) {
+                this._holdTransactions(settled);
+            }
+            return settled;
         }
 
         /**
-         * Import table data from .rdb file content
-         * @param {string} tableName
-         * @param {string} fileContent
-         * @returns {RockdexDB}
+         * Make transactions started from now on wait for the given one
+         * @private
          */
-        importTable(tableName, fileContent) {
-            this._importTableData(fileContent, tableName);
-            return this;
+        _holdTransactions(promise) {
+            const tail = promise.then(() => {}, () => {});
+            this._transactionTail = tail;
+            tail.then(() => {
+                if (this._transactionTail === tail) this._transactionTail = null;
+            });
         }
 
         /**
-         * Get storage statistics
-         * @returns {Object}
+         * The database as seen inside a transaction callback: the same instance,
+         * except that every call made through it runs inside the transaction,
+         * so transaction() nests and isolated queries write into it too
+         * @private
+         */
+        _transactionHandle(transaction) {
+            const handle = new Proxy(this, {
+                get: (target, property) => {
+                    if (property === 'table' || property === 'query') {
+                        return tableName => new Query(handle, tableName);
+                    }
+                    const value = target[property];
+                    if (typeof value !== 'function') return value;
+                    return (...args) => target._within(transaction, () => value.apply(target, args));
+                }
+            });
+            return handle;
+        }
+
+        /**
+         * Run code synchronously with a transaction entered
+         * @private
+         */
+        _within(transaction, run) {
+            const previous = this._transaction;
+            this._transaction = transaction;
+            try {
+                return run();
+            } finally {
+                this._transaction = previous;
+            }
+        }
+
+        /**
+         * The transaction the running code belongs to: the one entered synchronously,
+         * or in Node.js the one whose callback started this async context
+         * @returns {Object|null}
+         * @private
+         */
+        _currentTransaction() {
+            if (this._transaction) return this._transaction;
+
+            const context = transactionContext && transactionContext.getStore();
+            return context && context.owner === this && this._openTransactions.has(context) ? context : null;
+        }
+
+        /**
+         * Drop a savepoint, and every later one, from a transaction
+         * @private
+         */
+        _forgetSavepoint(transaction, savepoint) {
+            const position = transaction.savepoints.indexOf(savepoint);
+            if (position !== -1) transaction.savepoints.splice(position);
+        }
+
+        /**
+         * Mark the current point of a transaction's undo log, with copies of the
+         * metadata that is cheap to snapshot whole
+         * @private
+         */
+        _savepoint(transaction) {
+            const savepoint = {
+                mark: transaction.changes.length,
+                ...this._copyMetadata(this._triggers, this._relationships),
+                lastInsertId: this._lastInsertId
+            };
+            transaction.savepoints.push(savepoint);
+            return savepoint;
+        }
+
+        /**
+         * Copy trigger and relation registries deep enough that later changes don't leak in
+         * @private
+         */
+        _copyMetadata(triggers, relationships) {
+            return {
+                triggers: new Map([...triggers].map(([tableName, tableTriggers]) => [tableName, new Map(tableTriggers)])),
+                relationships: new Map([...relationships].map(([tableName, relations]) => [tableName, [...relations]]))
+            };
+        }
+
+        /**
+         * Undo every change logged after a savepoint, newest first
+         * @private
+         */
+        _rollbackTo(transaction, savepoint) {
+            const undone = transaction.changes.splice(savepoint.mark);
+            transaction.savepoints.splice(transaction.savepoints.indexOf(savepoint) + 1);
+            this._writeCount++;
+
+            for (const change of undone.reverse()) {
+                const { tableName } = change;
+                const table = this._tables.get(tableName);
+
+                // A row changed again by a write outside the transaction keeps that write
+                if (change.operation === 'INSERT') {
+                    const position = table.lastIndexOf(change.record);
+                    if (position !== -1) {
+                        table.splice(position, 1);
+                        this._unindexRow(tableName, change.record);
+                    }
+                } else if (change.operation === 'UPDATE') {
+                    const position = table.indexOf(change.record);
+                    if (position !== -1) {
+                        table[position] = change.oldRecord;
+                        this._replaceIndexedRow(tableName, change.record, change.oldRecord);
+                    }
+                } else if (change.operation === 'DELETE') {
+                    table.splice(Math.min(change.position, table.length), 0, change.record);
+                    this._indexRow(tableName, change.record);
+                } else {
+                    this._restoreTableState(change);
+                }
+            }
+
+            // Copies again, so the savepoint can be rolled back to more than once
+            const metadata = this._copyMetadata(savepoint.triggers, savepoint.relationships);
+            this._triggers = metadata.triggers;
+            this._relationships = metadata.relationships;
+            this._lastInsertId = savepoint.lastInsertId;
+        }
+
+        /**
+         * Put back a table saved by _saveTableState
+         * @private
+         */
+        _restoreTableState(change) {
+            const { tableName } = change;
+
+            if (change.rows === undefined) {
+                this._tables.delete(tableName);
+            } else {
+                this._tables.set(tableName, change.rows);
+            }
+            if (change.schema === undefined) {
+                this._schemas.delete(tableName);
+            } else {
+                this._schemas.set(tableName, change.schema);
+            }
+            if (change.wal === undefined) {
+                this._walLogs.delete(tableName);
+            } else {
+                this._walLogs.set(tableName, change.wal);
+            }
+
+            if (change.indexes) {
+                this._indexes.set(tableName, new Map(change.indexes.map(({ name, index, unique }) => {
+                    index.unique = unique;
+                    return [name, index];
+                })));
+                this._rebuildIndexes(tableName);
+            } else {
+                this._indexes.delete(tableName);
+            }
+        }
+
+        /**
+         * Write a committed transaction's changes to the write-ahead log and disk
+         * @private
+         */
+        _commit(transaction) {
+            for (const change of transaction.changes) {
+                if (change.operation !== 'TABLE') {
+                    this._logChange(change.tableName, change.operation, change.record, change.oldRecord);
+                }
+            }
+
+            for (const tableName of transaction.replaced) {
+                this._tableReplaced(tableName);
+            }
+            for (const tableName of transaction.touched) {
+                if (!transaction.replaced.has(tableName)) this._tableChanged(tableName);
+            }
+        }
+
+        /**
+         * Paginate results
+         * @param {string} tableName
+         * @param {number} page
+         * @param {number} perPage
+         * @returns {Object}
+         */
+        paginate(tableName, page = 1, perPage = 10) {
+            const { total, results } = this._consume(() => {
+                // One pass gives both the total and the page, with the same conditions
+                this._limit = null;
+                this._offset = 0;
+                const matches = this._isAggregating() ? this._getGrouped(tableName) : this._get(tableName);
+                const offset = (page - 1) * perPage;
+                return {
+                    total: matches.length,
+                    results: this._present(tableName, matches.slice(offset, offset + perPage))
+                };
+            });
+            const totalPages = Math.ceil(total / perPage);
+
+            return {
+                data: results,
+                pagination: {
+                    total,
+                    perPage,
+                    currentPage: page,
+                    totalPages,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            };
+        }
+
+        /**
+         * Execute raw query using custom filter function
+         * @param {string} tableName
+         * @param {Function} filterFn
+         * @returns {Array}
+         */
+        raw(tableName, filterFn) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            const table = this._tables.get(tableName);
+            return table.filter(filterFn);
+        }
+
+        /**
+         * Clear all data from a table
+         * @param {string} tableName
+         * @returns {RockdexDB}
+         */
+        truncate(tableName) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            this._saveTableState(tableName);
+            this._tables.set(tableName, []);
+            this._rebuildIndexes(tableName);
+            this._tableReplaced(tableName);
+            this._log('truncate', { tableName });
+            return this;
+        }
+
+        /**
+         * Get table schema
+         * @param {string} tableName
+         * @returns {Object|null}
+         */
+        getSchema(tableName) {
+            return this._schemas.get(tableName) || null;
+        }
+
+        /**
+         * Update table schema
+         * @param {string} tableName
+         * @param {Object} schema
+         * @returns {RockdexDB}
+         */
+        updateSchema(tableName, schema) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            // Validate existing data against new schema
+            const table = this._tables.get(tableName);
+            this._validateSchema(table, schema, tableName);
+
+            this._saveTableState(tableName);
+            this._schemas.set(tableName, schema);
+            this._createUniqueIndexes(tableName, schema);
+            this._tableReplaced(tableName);
+
+            this._log('updateSchema', { tableName });
+            return this;
+        }
+
+        /**
+         * Reset all query conditions
+         * @private
+         */
+        _resetConditions() {
+            this._whereConditions = [];
+            this._operator = 'AND';
+            this._orderBy = [];
+            this._limit = null;
+            this._offset = 0;
+            this._searchConditions = [];
+            this._select = null;
+            this._groupBy = null;
+            this._aggregates = null;
+            this._having = [];
+            this._joins = [];
+            this._with = new Map();
+        }
+
+        /**
+         * Run a terminal operation on the current builder state, clearing the
+         * chain afterwards even when the operation throws
+         * @private
+         */
+        _consume(run) {
+            try {
+                return run();
+            } finally {
+                this._resetConditions();
+            }
+        }
+
+        /**
+         * Run with a copy of a Query's state installed as the builder state, then
+         * put the caller's chain back
+         * @param {Object|null} state
+         * @param {Function} run - Receives the database
+         * @private
+         */
+        _runQuery(state, run) {
+            const outer = this._takeQueryState();
+            try {
+                if (state) this._restoreQueryState(this._copyQueryState(state));
+                return run(this);
+            } finally {
+                this._restoreQueryState(outer);
+            }
+        }
+
+        /**
+         * Copy builder state deep enough that building on the copy leaves the original intact
+         * @private
+         */
+        _copyQueryState(state) {
+            const copyIncludes = includes => new Map([...includes].map(([name, node]) => (
+                [name, { constraint: node.constraint, children: copyIncludes(node.children) }]
+            )));
+
+            return {
+                ...state,
+                whereConditions: [...state.whereConditions],
+                orderBy: [...state.orderBy],
+                searchConditions: [...state.searchConditions],
+                select: state.select && [...state.select],
+                groupBy: state.groupBy && [...state.groupBy],
+                aggregates: state.aggregates && { ...state.aggregates },
+                having: [...state.having],
+                joins: [...state.joins],
+                with: copyIncludes(state.with)
+            };
+        }
+
+        /**
+         * Take the current query builder state, leaving a fresh one in its place
+         * @returns {Object}
+         * @private
+         */
+        _takeQueryState() {
+            const state = {
+                whereConditions: this._whereConditions,
+                orderBy: this._orderBy,
+                limit: this._limit,
+                offset: this._offset,
+                searchConditions: this._searchConditions,
+                select: this._select,
+                groupBy: this._groupBy,
+                aggregates: this._aggregates,
+                having: this._having,
+                joins: this._joins,
+                with: this._with
+            };
+            this._resetConditions();
+            return state;
+        }
+
+        /**
+         * Put back query builder state taken with _takeQueryState
+         * @param {Object} state
+         * @private
+         */
+        _restoreQueryState(state) {
+            this._whereConditions = state.whereConditions;
+            this._orderBy = state.orderBy;
+            this._limit = state.limit;
+            this._offset = state.offset;
+            this._searchConditions = state.searchConditions;
+            this._select = state.select;
+            this._groupBy = state.groupBy;
+            this._aggregates = state.aggregates;
+            this._having = state.having;
+            this._joins = state.joins;
+            this._with = state.with;
+        }
+
+        /**
+         * Export table to downloadable .rdb file (Browser only)
+         * @param {string} tableName
+         * @returns {RockdexDB}
+         */
+        exportTable(tableName) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            if (this._isBrowser) {
+                this._downloadTableFile(tableName);
+            } else {
+                throw this._fail(new RockdexError('File download only available in browser. Use getTableExport() for Node.js.', 'UNSUPPORTED'));
+            }
+
+            return this;
+        }
+
+        /**
+         * Get table export data as string (works in both Node.js and Browser)
+         * @param {string} tableName
+         * @returns {string}
+         */
+        getTableExport(tableName) {
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
+            }
+
+            return this._exportTableData(tableName);
+        }
+
+        /**
+         * Import table data from .rdb file content
+         * @param {string} tableName
+         * @param {string} fileContent
+         * @returns {RockdexDB}
+         */
+        importTable(tableName, fileContent) {
+            this._importTableData(fileContent, tableName);
+            return this;
+        }
+
+        /**
+         * Get storage statistics
+         * @returns {Object}
          */
         getStorageStats() {
             const stats = {
@@ -1751,6 +4464,7 @@
             // Estimate memory usage (rough calculation)
             const dataString = JSON.stringify(Object.fromEntries(this._tables));
             stats.memoryUsage = Math.round((dataString.length * 2) / 1024 / 1024 * 100) / 100; // MB
+            stats.chunks = this._optimizedStorage.getStats();
 
             return stats;
         }
@@ -1760,93 +4474,885 @@
         /**
          * Create index for fast lookups
          * @param {string} tableName 
-         * @param {string} field 
+         * @param {string|string[]} field - Column or dot path, or columns for a composite index
+         * @param {Object} options - { unique: boolean, multikey: boolean }
          * @returns {RockdexDB}
          */
-        createIndex(tableName, field) {
+        createIndex(tableName, field, options = {}) {
+            const fields = Array.isArray(field) ? field : [field];
+            if (options.multikey && fields.length > 1) {
+                throw this._fail(new RockdexError('Multikey indexes cover a single array field', 'INVALID_ARGUMENT'));
+            }
+            this._saveTableState(tableName);
+
             if (!this._indexes.has(tableName)) {
                 this._indexes.set(tableName, new Map());
             }
             
+            const indexName = fields.join(',') + (options.multikey ? '[]' : '');
             const tableIndexes = this._indexes.get(tableName);
-            if (!tableIndexes.has(field)) {
-                const index = new BTreeIndex();
-                tableIndexes.set(field, index);
+            if (!tableIndexes.has(indexName)) {
+                const index = new BTreeIndex(50, { fields, multikey: options.multikey });
                 
                 // Build index from existing data
-                this._buildIndex(tableName, field, index);
+                this._buildIndex(tableName, index);
+                if (options.unique) {
+                    this._assertIndexUnique(tableName, index);
+                    index.unique = true;
+                }
+                tableIndexes.set(indexName, index);
                 
-                this._log('index_created', { tableName, field });
+                this._log('index_created', { tableName, field: indexName, unique: !!options.unique });
+            } else if (options.unique && !tableIndexes.get(indexName).unique) {
+                // Upgrade an existing index once the stored rows are known to comply
+                this._assertIndexUnique(tableName, tableIndexes.get(indexName));
+                tableIndexes.get(indexName).unique = true;
+            }
+            
+            return this;
+        }
+
+        /**
+         * Create unique indexes for schema fields marked unique: true
+         * @param {string} tableName
+         * @param {Object|null} schema
+         * @private
+         */
+        _createUniqueIndexes(tableName, schema) {
+            if (!schema) return;
+
+            for (const [field, config] of Object.entries(schema)) {
+                if (config && config.unique) {
+                    this.createIndex(tableName, field, { unique: true });
+                }
+            }
+        }
+
+        /**
+         * Check replacement rows against the table's unique indexes and schema
+         * before they are stored
+         * @param {string} tableName
+         * @param {Array} rows
+         * @param {Object|null} schema
+         * @private
+         */
+        _assertUniqueRows(tableName, rows, schema) {
+            const uniqueFields = [];
+            for (const index of (this._indexes.get(tableName) || new Map()).values()) {
+                if (index.unique) uniqueFields.push({ fields: index.fields, multikey: index.multikey });
+            }
+            for (const [field, config] of Object.entries(schema || {})) {
+                if (config && config.unique) uniqueFields.push({ fields: [field] });
+            }
+
+            for (const options of uniqueFields) {
+                const index = new BTreeIndex(50, options);
+                index.bulkInsert(this._indexEntries(rows, index));
+                this._assertIndexUnique(tableName, index);
+            }
+        }
+
+        /**
+         * Throw if an index already holds two rows under the same key
+         * @param {string} tableName
+         * @param {BTreeIndex} index
+         * @private
+         */
+        _assertIndexUnique(tableName, index) {
+            for (const { key, values } of index.entries()) {
+                if (values.length > 1 && !this._hasNullKey(key)) {
+                    throw this._uniqueViolation(tableName, index, key);
+                }
+            }
+        }
+
+        /**
+         * Unique constraints ignore keys with missing values, as in SQL
+         * @private
+         */
+        _hasNullKey(key) {
+            return key === null || (Array.isArray(key) && key.includes(null));
+        }
+
+        /**
+         * Build the error for a duplicate key in a unique index
+         * @private
+         */
+        _uniqueViolation(tableName, index, key) {
+            return this._fail(new ConstraintViolationError(
+                `Duplicate value ${JSON.stringify(key)} for unique '${index.fields.join(', ')}' on table '${tableName}'`,
+                { table: tableName, constraint: 'unique', fields: index.fields, value: key }
+            ));
+        }
+
+        /**
+         * Reject a record whose unique keys are already used by another row
+         * @param {string} tableName
+         * @param {Object} record
+         * @param {Object} ignoreRow - Row being replaced by record (updates)
+         * @private
+         */
+        _checkUnique(tableName, record, ignoreRow = null) {
+            const tableIndexes = this._indexes.get(tableName);
+            if (!tableIndexes) return;
+
+            for (const index of tableIndexes.values()) {
+                if (!index.unique) continue;
+
+                for (const key of this._indexKeys(record, index)) {
+                    if (this._hasNullKey(key)) continue;
+
+                    if (index.search(key).some(row => row !== ignoreRow)) {
+                        throw this._uniqueViolation(tableName, index, key);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Unique check for a batch of new records, including duplicates inside the batch
+         * @param {string} tableName
+         * @param {Array} records
+         * @private
+         */
+        _checkUniqueBatch(tableName, records) {
+            const seen = new Map();
+            for (const record of records) {
+                const conflict = this._uniqueConflict(tableName, record, seen);
+                if (conflict) {
+                    throw this._uniqueViolation(tableName, conflict.index, conflict.key);
+                }
+            }
+        }
+
+        /**
+         * Find a unique key of a new record that stored rows, or records claimed
+         * earlier in the same set, already use. Claims the record's keys when there is none.
+         * @param {string} tableName
+         * @param {Object} record
+         * @param {Map} seen - Index -> scratch index of the keys claimed so far, so
+         *   keys in the set compare exactly as they will in the index
+         * @returns {{index: BTreeIndex, key: *}|null}
+         * @private
+         */
+        _uniqueConflict(tableName, record, seen) {
+            const tableIndexes = this._indexes.get(tableName);
+            if (!tableIndexes) return null;
+
+            const claims = [];
+            for (const index of tableIndexes.values()) {
+                if (!index.unique) continue;
+                if (!seen.has(index)) {
+                    seen.set(index, new BTreeIndex(index.degree, { fields: index.fields, multikey: index.multikey }));
+                }
+
+                for (const key of this._indexKeys(record, index)) {
+                    if (this._hasNullKey(key)) continue;
+
+                    if (seen.get(index).search(key).length > 0 || index.search(key).length > 0) {
+                        return { index, key };
+                    }
+                    claims.push([index, key]);
+                }
+            }
+
+            for (const [index, key] of claims) {
+                seen.get(index).insert(key, record);
+            }
+            return null;
+        }
+
+        /**
+         * Foreign keys with referential options, from relations declared on either side
+         * @returns {Array<{childTable: string, childKey: string, parentTable: string, parentKey: string, enforce: boolean, onDelete: string|null, onUpdate: string|null}>}
+         * @private
+         */
+        _foreignKeys() {
+            const foreignKeys = [];
+            for (const [tableName, relations] of this._relationships) {
+                for (const relation of relations) {
+                    if (!relation.enforce && !relation.onDelete && !relation.onUpdate) continue;
+
+                    const owned = relation.type === 'belongsTo';
+                    const fallback = relation.enforce ? 'restrict' : null;
+                    foreignKeys.push({
+                        childTable: relation.type === 'belongsToMany' ? relation.through : owned ? tableName : relation.table,
+                        childKey: relation.foreignKey,
+                        parentTable: owned ? relation.table : tableName,
+                        parentKey: relation.localKey || 'id',
+                        enforce: Boolean(relation.enforce),
+                        onDelete: relation.onDelete || fallback,
+                        onUpdate: relation.onUpdate || fallback
+                    });
+                }
+            }
+            return foreignKeys;
+        }
+
+        /**
+         * Visible rows of a table matching a single condition, leaving the
+         * caller's query builder state untouched
+         * @private
+         */
+        _rowsWhere(tableName, field, operator, value) {
+            const outer = this._takeQueryState();
+            try {
+                this._whereConditions = [this._buildCondition(field, operator, value)];
+                return this._get(tableName);
+            } finally {
+                this._restoreQueryState(outer);
+            }
+        }
+
+        /**
+         * Distinct non-null values of a key across rows
+         * @private
+         */
+        _keyValues(rows, path) {
+            const values = new Map();
+            for (const row of rows) {
+                const value = getPath(row, path);
+                if (value !== null && value !== undefined) values.set(hashKey(value), value);
+            }
+            return [...values.values()];
+        }
+
+        /**
+         * Child rows referencing any of the given parent key values, skipping rows
+         * a cascade is already deleting
+         * @private
+         */
+        _referencingRows(foreignKey, keys) {
+            if (keys.length === 0 || !this._tables.has(foreignKey.childTable)) return [];
+            return this._rowsWhere(foreignKey.childTable, foreignKey.childKey, 'IN', keys)
+                .filter(row => !this._pendingDeletes.has(row));
+        }
+
+        /**
+         * Build a foreign key ConstraintViolationError and record it as the last error
+         * @private
+         */
+        _foreignKeyViolation(message, tableName, field, value) {
+            return this._fail(new ConstraintViolationError(message, {
+                table: tableName, constraint: 'foreignKey', fields: [field], value
+            }));
+        }
+
+        /**
+         * Reject a record whose enforced foreign keys point at no parent row
+         * @param {string} tableName
+         * @param {Object} record
+         * @param {Object} changed - Update data; only keys it sets are checked
+         * @private
+         */
+        _checkReferences(tableName, record, changed = null) {
+            const missing = this._missingReference(tableName, record, changed);
+            if (missing) {
+                throw this._foreignKeyViolation(missing.message, tableName, missing.foreignKey.childKey, missing.value);
+            }
+        }
+
+        /**
+         * First enforced foreign key of a record that points at no parent row
+         * @param {string} tableName
+         * @param {Object} record
+         * @param {Object} changed - Update data; only keys it sets are checked
+         * @returns {{foreignKey: Object, value: *, message: string}|null}
+         * @private
+         */
+        _missingReference(tableName, record, changed = null) {
+            if (this._relationships.size === 0) return null;
+
+            for (const foreignKey of this._foreignKeys()) {
+                if (!foreignKey.enforce || foreignKey.childTable !== tableName) continue;
+                if (changed && getPath(changed, foreignKey.childKey) === undefined) continue;
+
+                const value = getPath(record, foreignKey.childKey);
+                if (value === null || value === undefined) continue;
+
+                const found = this._tables.has(foreignKey.parentTable) &&
+                    this._rowsWhere(foreignKey.parentTable, foreignKey.parentKey, '=', value).length > 0;
+                if (!found) {
+                    return {
+                        foreignKey,
+                        value,
+                        message: `No row in '${foreignKey.parentTable}' with ${foreignKey.parentKey} ${JSON.stringify(value)} for foreign key '${foreignKey.childKey}' on table '${tableName}'`
+                    };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Walk the onDelete actions reachable from rows about to be deleted and
+         * throw on the first restrict that still has referencing rows
+         * @param {string} tableName
+         * @param {Array} rows
+         * @param {Set} seen - Rows already on the delete path, to stop cycles
+         * @private
+         */
+        _assertDeletable(tableName, rows, seen) {
+            if (this._relationships.size === 0) return;
+
+            for (const foreignKey of this._foreignKeys()) {
+                if (foreignKey.parentTable !== tableName || !foreignKey.onDelete) continue;
+
+                const children = this._referencingRows(foreignKey, this._keyValues(rows, foreignKey.parentKey))
+                    .filter(row => !seen.has(row));
+                if (children.length === 0) continue;
+
+                if (foreignKey.onDelete === 'restrict') {
+                    throw this._foreignKeyViolation(
+                        `Cannot delete from '${tableName}': ${children.length} row(s) in '${foreignKey.childTable}' still reference it through '${foreignKey.childKey}'`,
+                        tableName, foreignKey.parentKey, this._keyValues(children, foreignKey.childKey)
+                    );
+                }
+                if (foreignKey.onDelete === 'cascade') {
+                    children.forEach(row => seen.add(row));
+                    this._assertDeletable(foreignKey.childTable, children, seen);
+                }
+            }
+        }
+
+        /**
+         * Cascade or null out rows referencing rows that are being deleted
+         * @private
+         */
+        _applyDeleteActions(tableName, rows) {
+            if (this._relationships.size === 0) return;
+
+            for (const foreignKey of this._foreignKeys()) {
+                if (foreignKey.parentTable !== tableName) continue;
+                if (foreignKey.onDelete !== 'cascade' && foreignKey.onDelete !== 'setNull') continue;
+
+                const children = this._referencingRows(foreignKey, this._keyValues(rows, foreignKey.parentKey));
+                if (foreignKey.onDelete === 'cascade') {
+                    this._deleteRows(foreignKey.childTable, children);
+                } else {
+                    this._updateRows(foreignKey.childTable, children, { [foreignKey.childKey]: null });
+                }
+            }
+        }
+
+        /**
+         * Old and new parent key of each change that moves the key
+         * @private
+         */
+        _rekeyed(changes, path) {
+            const rekeyed = [];
+            for (const { oldRow, newRow } of changes) {
+                const oldKey = getPath(oldRow, path);
+                const newKey = getPath(newRow, path);
+                if (oldKey === null || oldKey === undefined || hashKey(oldKey) === hashKey(newKey)) continue;
+                rekeyed.push({ oldKey, newKey });
+            }
+            return rekeyed;
+        }
+
+        /**
+         * Throw when an update moves a parent key that restricted rows still reference
+         * @private
+         */
+        _assertRekeyable(tableName, changes) {
+            if (this._relationships.size === 0) return;
+
+            for (const foreignKey of this._foreignKeys()) {
+                if (foreignKey.parentTable !== tableName || foreignKey.onUpdate !== 'restrict') continue;
+
+                const oldKeys = this._rekeyed(changes, foreignKey.parentKey).map(({ oldKey }) => oldKey);
+                const children = this._referencingRows(foreignKey, oldKeys);
+                if (children.length > 0) {
+                    throw this._foreignKeyViolation(
+                        `Cannot change '${foreignKey.parentKey}' on '${tableName}': ${children.length} row(s) in '${foreignKey.childTable}' still reference it through '${foreignKey.childKey}'`,
+                        tableName, foreignKey.parentKey, this._keyValues(children, foreignKey.childKey)
+                    );
+                }
+            }
+        }
+
+        /**
+         * Carry parent key changes over to referencing rows (cascade) or detach them (setNull)
+         * @private
+         */
+        _applyUpdateActions(tableName, changes) {
+            if (this._relationships.size === 0) return;
+
+            for (const foreignKey of this._foreignKeys()) {
+                if (foreignKey.parentTable !== tableName) continue;
+                if (foreignKey.onUpdate !== 'cascade' && foreignKey.onUpdate !== 'setNull') continue;
+
+                for (const { oldKey, newKey } of this._rekeyed(changes, foreignKey.parentKey)) {
+                    const children = this._referencingRows(foreignKey, [oldKey]);
+                    const value = foreignKey.onUpdate === 'cascade' ? newKey : null;
+                    this._updateRows(foreignKey.childTable, children, { [foreignKey.childKey]: value });
+                }
+            }
+        }
+
+        /**
+         * Build index from existing table data
+         * @private
+         */
+        _buildIndex(tableName, index) {
+            const table = this._tables.get(tableName);
+            if (!table) return;
+            
+            // Indexes hold references to the stored rows, never copies
+            index.bulkInsert(this._indexEntries(table, index));
+        }
+
+        /**
+         * Key/row pairs for bulk loading rows into an index
+         * @private
+         */
+        _indexEntries(rows, index) {
+            const entries = [];
+            for (const row of rows) {
+                for (const key of this._indexKeys(row, index)) {
+                    entries.push({ key, value: row });
+                }
+            }
+            return entries;
+        }
+
+        /**
+         * Auto-create indexes for common query patterns
+         * @private
+         */
+        _autoCreateIndexes(tableName, schema) {
+            if (!this._autoIndex) return;
+            
+            // Index primary keys and frequently queried fields
+            const fieldsToIndex = ['id'];
+            
+            if (schema) {
+                for (const [field, config] of Object.entries(schema)) {
+                    if (config.indexed !== false) {
+                        fieldsToIndex.push(field);
+                    }
+                }
+            }
+            
+            for (const field of fieldsToIndex) {
+                this.createIndex(tableName, field);
+            }
+        }
+
+        /**
+         * Fast indexed query execution - runs the access path chosen by the planner
+         * @param {string} tableName
+         * @param {Array} conditions
+         * @returns {Array|null} Candidate rows, or null when a full scan is cheaper
+         * @private
+         */
+        _indexLookup(tableName, conditions = this._whereConditions) {
+            const plan = this._planQuery(tableName, conditions);
+            if (plan.access === 'scan') return null;
+
+            this._metrics.indexUsage++;
+            return this._executePlan(plan);
+        }
+
+        /**
+         * Fetch the candidate rows of an index plan
+         * @param {Object} plan
+         * @returns {Array}
+         * @private
+         */
+        _executePlan(plan) {
+            // OR branches - every row any branch returned, once
+            if (plan.access === 'union') {
+                const rows = new Set();
+                for (const path of plan.paths) {
+                    for (const row of this._fetchIndexPath(path)) rows.add(row);
+                }
+                return [...rows];
+            }
+
+            // Fetch the most selective path first, then keep rows every other path also returned
+            const [first, ...rest] = plan.paths;
+            let rows = this._fetchIndexPath(first);
+            for (const path of rest) {
+                const other = new Set(this._fetchIndexPath(path));
+                rows = rows.filter(row => other.has(row));
+            }
+            return rows;
+        }
+
+        /**
+         * Cost-based query planner
+         *
+         * Builds an access path for every usable index (equality on leading columns,
+         * optionally a range or IN on the next one), estimates how many rows each
+         * returns, and picks the cheapest of a full scan, the best single index or
+         * an intersection of the two most selective indexes. OR branches are planned
+         * separately and served as a union only when every branch has an index path;
+         * a group AND-ed into the query competes as one more access path.
+         * @param {string} tableName
+         * @param {Array} conditions
+         * @returns {Object}
+         * @private
+         */
+        _planQuery(tableName, conditions = this._whereConditions) {
+            const totalRows = (this._tables.get(tableName) || []).length;
+            const filterCost = Math.max(conditions.length, 1); // Predicate checks per candidate row
+            const plan = {
+                access: 'scan',
+                indexes: [],
+                paths: [],
+                considered: [],
+                estimatedRows: totalRows,
+                cost: totalRows * filterCost
+            };
+
+            const tableIndexes = this._indexes.get(tableName);
+            if (!tableIndexes || conditions.length === 0 || !this._performanceEnabled) {
+                return plan;
+            }
+
+            const branches = this._splitOrBranches(conditions);
+            if (branches.length > 1) {
+                return this._planUnion(tableName, branches, plan);
+            }
+
+            const equalities = new Map();
+            const ranges = new Map();
+            const inLists = new Map();
+            const prefixRanges = new Map();
+            const elements = new Map(); // Multikey index lookups
+            const elementLists = new Map();
+            const addRange = (map, field, operator, value) => {
+                if (!map.has(field)) map.set(field, []);
+                map.get(field).push({ operator, value });
+            };
+            for (const condition of conditions) {
+                const { field, operator, value } = condition;
+                if ((operator === '=' || operator === 'IS NULL') && !equalities.has(field)) {
+                    // Index keys store missing values as null
+                    equalities.set(field, operator === '=' ? value : null);
+                } else if (['>', '<', '>=', '<='].includes(operator)) {
+                    addRange(ranges, field, operator, value);
+                } else if (operator === 'BETWEEN') {
+                    addRange(ranges, field, '>=', value[0]);
+                    addRange(ranges, field, '<=', value[1]);
+                } else if (operator === 'IN' && !inLists.has(field)) {
+                    inLists.set(field, value);
+                } else if (operator === 'CONTAINS' && !elements.has(field)) {
+                    elements.set(field, value);
+                } else if (operator === 'CONTAINS_ALL' && value.length > 0 && !elements.has(field)) {
+                    // One element narrows the index; the rest are checked per row
+                    elements.set(field, value[0]);
+                } else if (operator === 'CONTAINS_ANY' && !elementLists.has(field)) {
+                    elementLists.set(field, value);
+                } else if (operator === 'LIKE' && likePrefix(value)) {
+                    // 'abc%' covers every string from 'abc' up to (not including) 'abd'
+                    const prefix = likePrefix(value);
+                    const lastCode = prefix.charCodeAt(prefix.length - 1);
+                    addRange(prefixRanges, field, '>=', prefix);
+                    if (lastCode < 0xffff) {
+                        addRange(prefixRanges, field, '<', prefix.slice(0, -1) + String.fromCharCode(lastCode + 1));
+                    }
+                }
+            }
+
+            const candidates = [];
+            for (const [name, index] of tableIndexes.entries()) {
+                // Multikey indexes hold array elements, so they only serve containment
+                const keyEqualities = index.multikey ? elements : equalities;
+                const keyLists = index.multikey ? elementLists : inLists;
+
+                let prefixLength = 0;
+                while (prefixLength < index.fields.length && keyEqualities.has(index.fields[prefixLength])) {
+                    prefixLength++;
+                }
+                const nextField = index.fields[prefixLength];
+                const rangeConditions = prefixLength < index.fields.length && !index.multikey ? [...(ranges.get(nextField) || [])] : [];
+                // LIKE matches the text of any value, so a string range only covers it when every key is a string
+                if (prefixRanges.has(nextField) && index.fields.length === 1 && !index.multikey && this._hasOnlyStringKeys(index)) {
+                    rangeConditions.push(...prefixRanges.get(nextField));
+                }
+                const path = {
+                    name,
+                    index,
+                    indexes: [name],
+                    prefix: index.fields.slice(0, prefixLength).map(field => keyEqualities.get(field)),
+                    range: rangeConditions.length > 0 ? this._rangeBounds(rangeConditions) : null,
+                    inValues: prefixLength < index.fields.length && keyLists.has(nextField) ? keyLists.get(nextField) : null
+                };
+                if (path.range) path.inValues = null;
+
+                const usable = prefixLength > 0 || !!path.range || !!path.inValues;
+                const considered = {
+                    index: name,
+                    fields: index.fields,
+                    usable,
+                    matchedColumns: prefixLength + (path.range || path.inValues ? 1 : 0),
+                    estimatedRows: null
+                };
+                plan.considered.push(considered);
+                if (!usable) continue;
+
+                // Counting stops once a path can no longer beat a full scan
+                path.estimatedRows = this._estimateIndexPath(path, totalRows);
+                considered.estimatedRows = path.estimatedRows;
+                candidates.push(path);
+            }
+
+            for (const condition of conditions) {
+                if (!condition.group) continue;
+                const groupPlan = this._planQuery(tableName, condition.group);
+                plan.considered.push(...groupPlan.considered);
+                if (groupPlan.access === 'scan') continue;
+                candidates.push({ indexes: groupPlan.indexes, plan: groupPlan, estimatedRows: groupPlan.estimatedRows });
+            }
+
+            if (candidates.length === 0) return plan;
+            candidates.sort((a, b) => a.estimatedRows - b.estimatedRows);
+
+            const best = candidates[0];
+            const singleCost = best.estimatedRows * (1 + filterCost);
+            if (singleCost < plan.cost) {
+                Object.assign(plan, {
+                    access: best.plan ? best.plan.access : 'index',
+                    indexes: best.indexes,
+                    paths: [best],
+                    estimatedRows: best.estimatedRows,
+                    cost: singleCost
+                });
+            }
+
+            // Intersection pays for a second fetch but filters far fewer rows
+            if (candidates.length > 1 && totalRows > 0) {
+                const second = candidates[1];
+                const combined = Math.ceil(best.estimatedRows * second.estimatedRows / totalRows);
+                const intersectionCost = best.estimatedRows + second.estimatedRows * 2 + combined * filterCost;
+                if (intersectionCost < plan.cost) {
+                    Object.assign(plan, {
+                        access: 'intersection',
+                        indexes: [...best.indexes, ...second.indexes],
+                        paths: [best, second],
+                        estimatedRows: combined,
+                        cost: intersectionCost
+                    });
+                }
+            }
+
+            return plan;
+        }
+
+        /**
+         * Plan OR-separated branches as a union of their index paths
+         * @param {string} tableName
+         * @param {Array<Array>} branches
+         * @param {Object} scanPlan - Full scan plan to fall back to
+         * @returns {Object}
+         * @private
+         */
+        _planUnion(tableName, branches, scanPlan) {
+            const plans = branches.map(branch => this._planQuery(tableName, branch));
+            const considered = [].concat(...plans.map(branchPlan => branchPlan.considered));
+
+            // A single branch without an index path forces a scan of every row anyway
+            const cost = plans.reduce((total, branchPlan) => total + branchPlan.cost, 0);
+            if (plans.some(branchPlan => branchPlan.access === 'scan') || cost >= scanPlan.cost) {
+                return { ...scanPlan, considered };
+            }
+
+            return {
+                access: 'union',
+                indexes: [...new Set([].concat(...plans.map(branchPlan => branchPlan.indexes)))],
+                paths: plans.map(branchPlan => ({ plan: branchPlan })),
+                considered,
+                estimatedRows: Math.min(plans.reduce((total, branchPlan) => total + branchPlan.estimatedRows, 0), scanPlan.estimatedRows),
+                cost
+            };
+        }
+
+        /**
+         * Whether every non-null key of a single column index is a string
+         * @param {BTreeIndex} index
+         * @returns {boolean}
+         * @private
+         */
+        _hasOnlyStringKeys(index) {
+            // Keys sort by type (null, boolean, number, string, ...), so checking both ends is enough
+            const first = index.entries({ min: false }).next();
+            const last = index.entries({ reverse: true }).next();
+            return (first.done || typeof first.value.key === 'string') &&
+                (last.done || last.value.key === null || typeof last.value.key === 'string');
+        }
+
+        /**
+         * Estimate rows returned by an index access path
+         * @param {Object} path
+         * @param {number} cap
+         * @returns {number}
+         * @private
+         */
+        _estimateIndexPath(path, cap) {
+            if (path.inValues) {
+                return Math.min(path.inValues.reduce((total, value) => {
+                    return total + path.index.count(this._indexPathBounds(path, value), cap);
+                }, 0), cap);
+            }
+            return path.index.count(this._indexPathBounds(path), cap);
+        }
+
+        /**
+         * Fetch the rows of an index access path
+         * @param {Object} path
+         * @returns {Array}
+         * @private
+         */
+        _fetchIndexPath(path, reverse = false) {
+            if (path.plan) return this._executePlan(path.plan);
+
+            if (path.inValues) {
+                const rows = [];
+                for (const value of new Set(path.inValues)) {
+                    const bounds = this._indexPathBounds(path, value);
+                    rows.push(...path.index.searchRange(bounds.min, bounds.max, bounds));
+                }
+                // A row holding several of the values sits under each of them
+                return path.index.multikey ? [...new Set(rows)] : rows;
             }
-            
-            return this;
+
+            const bounds = this._indexPathBounds(path);
+            return path.index.searchRange(bounds.min, bounds.max, { ...bounds, reverse });
         }
 
         /**
-         * Build index from existing table data
+         * Whether an index returns rows in orderBy order once its first `start`
+         * columns are fixed by equality
+         * @param {BTreeIndex} index
+         * @param {number} start
+         * @returns {boolean|null} true to walk it backwards, false forwards, null if it cannot serve the order
          * @private
          */
-        _buildIndex(tableName, field, index) {
-            const table = this._tables.get(tableName);
-            if (!table) return;
-            
-            const keyValuePairs = table
-                .map((record, idx) => ({ key: record[field], value: { ...record, _rowIndex: idx } }))
-                .filter(pair => pair.key !== undefined && pair.key !== null);
-            
-            index.bulkInsert(keyValuePairs);
+        _indexOrder(index, start = 0) {
+            if (index.multikey || this._orderBy.length === 0 || start + this._orderBy.length > index.fields.length) {
+                return null;
+            }
+
+            // Index keys sort nulls first and compare strings by code unit
+            const direction = this._orderBy[0].direction;
+            const served = this._orderBy.every((order, i) => order.column === index.fields[start + i] &&
+                order.direction === direction &&
+                order.nulls === (direction === 'ASC' ? 'FIRST' : 'LAST') &&
+                !order.collator);
+            return served ? direction === 'DESC' : null;
         }
 
         /**
-         * Auto-create indexes for common query patterns
+         * Read a table in orderBy order from a matching index, stopping early when
+         * a limit is set and enough rows match
+         * @param {string} tableName
+         * @returns {Array|null} Rows in order, or null when no index matches
          * @private
          */
-        _autoCreateIndexes(tableName, schema) {
-            if (!this._autoIndex) return;
-            
-            // Index primary keys and frequently queried fields
-            const fieldsToIndex = ['id'];
-            
-            if (schema) {
-                for (const [field, config] of Object.entries(schema)) {
-                    if (config.indexed !== false) {
-                        fieldsToIndex.push(field);
+        _orderedIndexScan(tableName) {
+            const tableIndexes = this._indexes.get(tableName);
+            if (!tableIndexes) return null;
+
+            for (const index of tableIndexes.values()) {
+                const reverse = this._indexOrder(index);
+                if (reverse === null) continue;
+
+                this._metrics.indexUsage++;
+                const wanted = this._limit === null ? Infinity : this._offset + this._limit;
+                const rows = [];
+                let matched = 0;
+                for (const { values } of index.entries({ reverse })) {
+                    rows.push(...values);
+                    if (wanted !== Infinity) {
+                        matched += values.filter(row => this._applyAllConditions(row) && this._matchesSearch(row)).length;
+                        if (matched >= wanted) break;
                     }
                 }
+                return rows;
             }
-            
-            for (const field of fieldsToIndex) {
-                this.createIndex(tableName, field);
-            }
+            return null;
         }
 
         /**
-         * Fast indexed query execution
+         * Key bounds for an index access path (optionally one IN list value)
+         * @param {Object} path
+         * @param {*} inValue
+         * @returns {Object}
          * @private
          */
-        _executeIndexedQuery(tableName, field, value, operator = '=') {
-            const tableIndexes = this._indexes.get(tableName);
-            if (!tableIndexes?.has(field)) {
-                return null; // No index available
+        _indexPathBounds(path, inValue) {
+            const { index, range } = path;
+            const prefix = inValue === undefined ? path.prefix : [...path.prefix, inValue];
+
+            // Single column index - scalar keys
+            if (index.fields.length === 1) {
+                if (!range) return { min: prefix[0], max: prefix[0] };
+                return range;
             }
-            
-            const index = tableIndexes.get(field);
-            this._metrics.indexUsage++;
-            
-            switch (operator) {
-                case '=':
-                    return index.search(value);
-                case '>':
-                    return index.searchRange(value + 0.0001, Infinity);
-                case '<':
-                    return index.searchRange(-Infinity, value - 0.0001);
-                case '>=':
-                    return index.searchRange(value, Infinity);
-                case '<=':
-                    return index.searchRange(-Infinity, value);
-                default:
-                    return null;
+
+            // Composite index - array keys, scan everything sharing the prefix
+            const bounds = { min: prefix, max: [...prefix, MAX_KEY], minInclusive: true, maxInclusive: true };
+            if (range && range.min !== undefined) {
+                bounds.min = range.minInclusive ? [...prefix, range.min] : [...prefix, range.min, MAX_KEY];
+                bounds.minInclusive = range.minInclusive;
+            }
+            if (range && range.max !== undefined) {
+                bounds.max = range.maxInclusive ? [...prefix, range.max, MAX_KEY] : [...prefix, range.max];
+                bounds.maxInclusive = range.maxInclusive;
+            }
+            return bounds;
+        }
+
+        /**
+         * Describe how a query would run: access path, indexes considered and
+         * estimated versus actual row counts
+         * @param {string} tableName
+         * @returns {Object}
+         */
+        explain(tableName) {
+            const { plan, actualRows } = this._consume(() => {
+                if (!this._tables.has(tableName)) {
+                    throw this._fail(new TableNotFoundError(tableName));
+                }
+                return { plan: this._planQuery(tableName), actualRows: this._get(tableName).length };
+            });
+
+            return {
+                table: tableName,
+                access: plan.access,
+                indexes: plan.indexes,
+                considered: plan.considered,
+                estimatedRows: plan.estimatedRows,
+                actualRows,
+                cost: plan.cost
+            };
+        }
+
+        /**
+         * Combine range conditions on one column into the tightest bounds
+         * @param {Array} conditions
+         * @returns {{min: *, max: *, minInclusive: boolean, maxInclusive: boolean}}
+         * @private
+         */
+        _rangeBounds(conditions) {
+            const bounds = { min: undefined, max: undefined, minInclusive: true, maxInclusive: true };
+            for (const { operator, value } of conditions) {
+                if (operator === '>' || operator === '>=') {
+                    const comparison = bounds.min === undefined ? 1 : compareKeys(value, bounds.min);
+                    if (comparison > 0 || (comparison === 0 && operator === '>')) {
+                        bounds.min = value;
+                        bounds.minInclusive = operator === '>=';
+                    }
+                } else {
+                    const comparison = bounds.max === undefined ? -1 : compareKeys(value, bounds.max);
+                    if (comparison < 0 || (comparison === 0 && operator === '<')) {
+                        bounds.max = value;
+                        bounds.maxInclusive = operator === '<=';
+                    }
+                }
             }
+            return bounds;
         }
 
         /**
@@ -1854,7 +5360,7 @@
          */
         where(field, value, operator = 'AND') {
             // Store the field for potential index usage
-            this._whereConditions.push({ field, value, operator: '=', logic: operator });
+            this._whereConditions.push(this._buildCondition(field, '=', value, operator));
             return this;
         }
 
@@ -1862,10 +5368,83 @@
          * Performance-optimized whereOperator
          */
         whereOperator(field, operator, value) {
-            this._whereConditions.push({ field, value, operator, logic: 'AND' });
+            this._whereConditions.push(this._buildCondition(field, operator, value));
+            return this;
+        }
+
+        /**
+         * Add a condition with a custom operator, joined with OR
+         * @param {string} field
+         * @param {string} operator
+         * @param {any} value
+         * @returns {RockdexDB}
+         */
+        orWhereOperator(field, operator, value) {
+            this._whereConditions.push(this._buildCondition(field, operator, value, 'OR'));
             return this;
         }
 
+        /**
+         * Normalise how a condition joins the ones before it
+         * @param {string} logic - 'AND' or 'OR', in any case
+         * @returns {string}
+         * @private
+         */
+        _conditionLogic(logic) {
+            const normalized = typeof logic === 'string' ? logic.trim().toUpperCase() : logic;
+            if (normalized !== 'AND' && normalized !== 'OR') {
+                throw this._failBuilder(new RockdexError(`Invalid condition logic '${String(logic)}'. Use 'AND' or 'OR'`, 'INVALID_ARGUMENT'));
+            }
+            return normalized;
+        }
+
+        /**
+         * Validate a where condition and compile its pattern, if any
+         * @param {string} field
+         * @param {string} operator - One of RockdexDB.OPERATORS
+         * @param {any} value
+         * @param {string} logic - 'AND' or 'OR'
+         * @returns {Object}
+         * @private
+         */
+        _buildCondition(field, operator, value, logic = 'AND') {
+            operator = String(operator).toUpperCase().trim().replace(/\s+/g, ' ');
+            if (!Object.values(RockdexDB.OPERATORS).includes(operator)) {
+                throw this._failBuilder(new RockdexError(`Unsupported operator '${operator}'`, 'INVALID_ARGUMENT'));
+            }
+
+            const condition = { field, value, operator, logic: this._conditionLogic(logic) };
+            switch (operator) {
+                case 'IN':
+                case 'NOT IN':
+                case 'CONTAINS_ANY':
+                case 'CONTAINS_ALL':
+                    if (!Array.isArray(value)) {
+                        throw this._failBuilder(new RockdexError('Values must be an array', 'INVALID_ARGUMENT'));
+                    }
+                    break;
+                case 'BETWEEN':
+                    if (!Array.isArray(value) || value.length !== 2) {
+                        throw this._failBuilder(new RockdexError('BETWEEN expects a [min, max] pair', 'INVALID_ARGUMENT'));
+                    }
+                    break;
+                case 'LIKE':
+                case 'NOT LIKE':
+                    condition.pattern = likeToRegExp(value);
+                    break;
+                case 'ILIKE':
+                    condition.pattern = likeToRegExp(value, 'i');
+                    break;
+                case 'REGEXP':
+                    // Drop the global flag - a stateful lastIndex would skip matches between rows
+                    condition.pattern = value instanceof RegExp
+                        ? new RegExp(value.source, value.flags.replace('g', ''))
+                        : new RegExp(value);
+                    break;
+            }
+            return condition;
+        }
+
         /**
          * Performance-optimized insert with indexing
          */
@@ -1874,7 +5453,7 @@
             
             // Validate table exists
             if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
+                throw this._fail(new TableNotFoundError(tableName));
             }
 
             // Prepare record
@@ -1882,7 +5461,7 @@
             
             // Auto-generate ID if not provided
             if (!record.id) {
-                record.id = this._generateSecureId();
+                record.id = this._generateUniqueId(tableName);
             }
 
             // Add timestamps
@@ -1895,28 +5474,29 @@
             // Schema validation
             const schema = this._schemas.get(tableName);
             if (schema) {
-                this._validateRecord(record, schema);
+                this._validateRecord(record, schema, tableName);
             }
 
             // Fire before triggers
             if (!this._trigger(tableName, 'beforeInsert', null, record)) {
-                throw new Error('Insert cancelled by trigger');
+                throw this._fail(new TriggerAbortError('Insert cancelled by trigger', { table: tableName, operation: 'beforeInsert' }));
             }
 
+            // Unique and foreign key constraints
+            this._checkUnique(tableName, record);
+            this._checkReferences(tableName, record);
+
             // Insert into table
             const table = this._tables.get(tableName);
             table.push(record);
             this._lastInsertId = record.id;
 
             // Update indexes
-            if (this._performanceEnabled) {
-                this._updateIndexesForInsert(tableName, record);
-            }
+            this._indexRow(tableName, record);
 
             // Log to WAL
-            if (this._walLogs.has(tableName)) {
-                this._walLogs.get(tableName).logOperation('INSERT', record);
-            }
+            this._logChange(tableName, 'INSERT', record);
+            this._tableChanged(tableName);
 
             // Fire after triggers  
             this._trigger(tableName, 'afterInsert', null, record);
@@ -1933,40 +5513,145 @@
         }
 
         /**
-         * Update indexes after insert
+         * Key a row is stored under in an index (missing values index as null);
+         * composite indexes use an array of column values
+         * @param {Object} row
+         * @param {string[]} fields
+         * @returns {*}
          * @private
          */
-        _updateIndexesForInsert(tableName, record) {
+        _indexKey(row, fields) {
+            const keyOf = field => {
+                const value = getPath(row, field);
+                return value === undefined ? null : value;
+            };
+            return fields.length === 1 ? keyOf(fields[0]) : fields.map(keyOf);
+        }
+
+        /**
+         * Every key a row is stored under in an index - multikey indexes store
+         * the row once per distinct element of its array
+         * @param {Object} row
+         * @param {BTreeIndex} index
+         * @returns {Array}
+         * @private
+         */
+        _indexKeys(row, index) {
+            const key = this._indexKey(row, index.fields);
+            if (!index.multikey || !Array.isArray(key)) return [key];
+
+            const keys = [];
+            for (const element of key) {
+                if (!keys.some(existing => compareKeys(existing, element) === 0)) keys.push(element);
+            }
+            return keys;
+        }
+
+        /**
+         * Add a row reference to every index on the table
+         * @private
+         */
+        _indexRow(tableName, row) {
             const tableIndexes = this._indexes.get(tableName);
             if (!tableIndexes) return;
             
-            for (const [field, index] of tableIndexes.entries()) {
-                if (record[field] !== undefined && record[field] !== null) {
-                    index.insert(record[field], record);
+            for (const index of tableIndexes.values()) {
+                for (const key of this._indexKeys(row, index)) {
+                    index.insert(key, row);
+                }
+            }
+        }
+
+        /**
+         * Remove a row reference from every index on the table
+         * @private
+         */
+        _unindexRow(tableName, row) {
+            const tableIndexes = this._indexes.get(tableName);
+            if (!tableIndexes) return;
+
+            for (const index of tableIndexes.values()) {
+                for (const key of this._indexKeys(row, index)) {
+                    index.delete(key, row);
                 }
             }
         }
 
         /**
-         * Bulk insert with performance optimization
+         * Point indexes at the new version of an updated row
+         * @private
+         */
+        _replaceIndexedRow(tableName, oldRow, newRow) {
+            this._unindexRow(tableName, oldRow);
+            this._indexRow(tableName, newRow);
+        }
+
+        /**
+         * Rebuild every index on a table after its rows were replaced wholesale
+         * @private
+         */
+        _rebuildIndexes(tableName) {
+            const tableIndexes = this._indexes.get(tableName);
+            if (!tableIndexes) return;
+
+            if (!this._tables.has(tableName)) {
+                this._indexes.delete(tableName);
+                return;
+            }
+
+            for (const index of tableIndexes.values()) {
+                index.clear();
+                this._buildIndex(tableName, index);
+            }
+        }
+
+        /**
+         * Bulk insert with performance optimization. Every record is checked against
+         * the schema, unique keys and foreign keys before the first batch is written,
+         * so a bad row never leaves the table half-filled.
+         * @param {string} tableName
+         * @param {Array} dataArray
+         * @param {Object} options
+         * @param {string} options.invalid - 'throw' (default) rejects the whole insert, 'skip' drops
+         *   rows that break the schema, a unique key or a foreign key, 'collect' drops them and
+         *   resolves to a report instead of the db
+         * @returns {Promise<RockdexDB|{inserted: number, rejected: Array<{index: number, record: Object, violations: Array}>}>}
          */
-        async bulkInsert(tableName, dataArray) {
+        async bulkInsert(tableName, dataArray, options = {}) {
+            const { invalid = 'throw' } = options;
+            if (!['throw', 'skip', 'collect'].includes(invalid)) {
+                throw this._fail(new RockdexError(`Invalid option invalid: '${invalid}'`, 'INVALID_ARGUMENT'));
+            }
             if (!Array.isArray(dataArray) || dataArray.length === 0) {
-                return this;
+                return invalid === 'collect' ? { inserted: 0, rejected: [] } : this;
+            }
+            if (!this._tables.has(tableName)) {
+                throw this._fail(new TableNotFoundError(tableName));
             }
 
             const startTime = performance.now();
+            const { records, rejected } = this._prepareBulkRecords(tableName, dataArray, invalid);
             const batchSize = 1000;
             const batches = [];
             
             // Split into batches for optimal performance
-            for (let i = 0; i < dataArray.length; i += batchSize) {
-                batches.push(dataArray.slice(i, i + batchSize));
+            for (let i = 0; i < records.length; i += batchSize) {
+                batches.push(records.slice(i, i + batchSize));
             }
 
+            // Batches after the first await still belong to the caller's transaction
+            const transaction = this._currentTransaction();
+            let writeCount = this._writeCount;
+
             // Process batches asynchronously
             for (const batch of batches) {
-                await this._processBatch(tableName, batch);
+                // The set was checked up front; only another writer running in between needs a recheck
+                const recheck = this._writeCount !== writeCount;
+                await this._within(transaction, () => {
+                    const processed = this._processBatch(tableName, batch, recheck);
+                    writeCount = this._writeCount;
+                    return processed;
+                });
                 
                 // Yield control to prevent blocking
                 await new Promise(resolve => setTimeout(resolve, 0));
@@ -1975,57 +5660,125 @@
             const bulkTime = performance.now() - startTime;
             this._log('bulkInsert', { 
                 tableName, 
-                recordCount: dataArray.length,
+                recordCount: records.length,
+                rejected: rejected.length,
                 bulkTime: bulkTime.toFixed(2) + 'ms',
                 avgPerRecord: (bulkTime / dataArray.length).toFixed(3) + 'ms'
             });
 
-            return this;
+            return invalid === 'collect' ? { inserted: records.length, rejected } : this;
         }
 
         /**
-         * Process batch of records
+         * Copy records for insertion, assign ids and timestamps and check the schema,
+         * unique keys and foreign keys
+         * @param {string} tableName
+         * @param {Array} dataArray
+         * @param {string} invalid - 'throw', 'skip' or 'collect'
+         * @returns {{records: Array, rejected: Array}}
          * @private
          */
-        async _processBatch(tableName, batch) {
-            const table = this._tables.get(tableName);
+        _prepareBulkRecords(tableName, dataArray, invalid) {
             const schema = this._schemas.get(tableName);
-            const tableIndexes = this._indexes.get(tableName);
-            
-            const processedRecords = [];
-            
-            for (let record of batch) {
-                // Prepare record
-                record = { ...record };
-                if (!record.id) record.id = this._generateSecureId();
-                
+            const records = [];
+            const rejected = [];
+            const ids = new Set();
+            const uniqueKeys = new Map();
+
+            dataArray.forEach((data, index) => {
+                const record = { ...data };
+                if (!record.id) record.id = this._generateUniqueId(tableName, ids);
+
                 if (this._timestamps) {
                     const now = new Date().toISOString();
                     record.created_at = record.created_at || now;
                     record.updated_at = now;
                 }
 
-                // Validate
-                if (schema) {
-                    this._validateRecord(record, schema);
+                let violations = schema ? this._schemaViolations(record, schema) : [];
+                if (violations.length === 0 && invalid !== 'throw') {
+                    violations = this._constraintViolations(tableName, record, uniqueKeys);
+                }
+                if (violations.length === 0) {
+                    ids.add(record.id);
+                    records.push(record);
+                } else if (invalid === 'throw') {
+                    throw this._schemaError(tableName, violations, {
+                        message: `Row ${index}: ${violations[0].message}`
+                    });
+                } else {
+                    rejected.push({ index, record: data, violations });
                 }
+            });
+
+            // Unique keys and foreign keys for the whole set, so no batch is written if any row breaks them
+            if (invalid === 'throw') {
+                this._checkUniqueBatch(tableName, records);
+                records.forEach(record => this._checkReferences(tableName, record));
+            }
 
-                processedRecords.push(record);
+            return { records, rejected };
+        }
+
+        /**
+         * Unique and foreign key problems of a new record, in the shape of schema violations
+         * @param {string} tableName
+         * @param {Object} record
+         * @param {Map} uniqueKeys - Unique keys claimed by earlier records of the same set
+         * @returns {Array<{field: string, rule: string, expected: *, actual: *, message: string}>}
+         * @private
+         */
+        _constraintViolations(tableName, record, uniqueKeys) {
+            const missing = this._missingReference(tableName, record);
+            if (missing) {
+                const { childKey, parentTable, parentKey } = missing.foreignKey;
+                return [{ field: childKey, rule: 'foreignKey', expected: `${parentTable}.${parentKey}`, actual: missing.value, message: missing.message }];
+            }
+
+            const conflict = this._uniqueConflict(tableName, record, uniqueKeys);
+            if (conflict) {
+                const fields = conflict.index.fields.join(', ');
+                return [{
+                    field: fields,
+                    rule: 'unique',
+                    expected: 'unique',
+                    actual: conflict.key,
+                    message: `Duplicate value ${JSON.stringify(conflict.key)} for unique '${fields}' on table '${tableName}'`
+                }];
+            }
+            return [];
+        }
+
+        /**
+         * Insert a batch of prepared records
+         * @param {string} tableName
+         * @param {Array} processedRecords
+         * @param {boolean} recheck - Check unique and foreign keys again, as other
+         *   writes ran since the records were prepared
+         * @private
+         */
+        async _processBatch(tableName, processedRecords, recheck = false) {
+            const table = this._tables.get(tableName);
+            const tableIndexes = this._indexes.get(tableName);
+
+            if (recheck) {
+                this._checkUniqueBatch(tableName, processedRecords);
+                processedRecords.forEach(record => this._checkReferences(tableName, record));
             }
             
             // Bulk insert into table
             table.push(...processedRecords);
+
+            // Log to WAL
+            for (const record of processedRecords) {
+                this._logChange(tableName, 'INSERT', record);
+            }
+            this._tableChanged(tableName);
             
             // Bulk update indexes
-            if (tableIndexes && this._performanceEnabled) {
-                for (const [field, index] of tableIndexes.entries()) {
-                    const keyValuePairs = processedRecords
-                        .filter(record => record[field] !== undefined && record[field] !== null)
-                        .map(record => ({ key: record[field], value: record }));
-                    
-                    if (keyValuePairs.length > 0) {
-                        index.bulkInsert(keyValuePairs);
-                    }
+            if (tableIndexes) {
+                for (const index of tableIndexes.values()) {
+                    index.bulkInsert(this._indexEntries(processedRecords, index));
                 }
             }
         }
@@ -2135,154 +5888,21 @@
             
             return results;
         }
+    }
 
-        /**
-         * Performance-optimized update method
-         */
-        update(tableName, data) {
-            const startTime = performance.now();
-            
-            if (!this._tables.has(tableName)) {
-                throw new Error(`Table '${tableName}' does not exist`);
-            }
-
-            const updateData = { ...data };
-            if (this._timestamps) {
-                updateData.updated_at = new Date().toISOString();
-            }
-
-            // Schema validation
-            const schema = this._schemas.get(tableName);
-            if (schema) {
-                const partialSchema = {};
-                for (const field of Object.keys(updateData)) {
-                    if (schema[field]) {
-                        partialSchema[field] = schema[field];
-                    }
-                }
-                if (Object.keys(partialSchema).length > 0) {
-                    this._validateRecord(updateData, partialSchema);
-                }
-            }
-
-            const table = this._tables.get(tableName);
-            let updatedCount = 0;
-            
-            // Use indexes for faster updates if possible
-            if (this._whereConditions.length > 0 && this._performanceEnabled) {
-                const primaryCondition = this._whereConditions[0];
-                const indexedResults = this._executeIndexedQuery(
-                    tableName, 
-                    primaryCondition.field, 
-                    primaryCondition.value,
-                    primaryCondition.operator
-                );
-                
-                if (indexedResults && indexedResults.length > 0) {
-                    // Update using indexed results
-                    const updatedTable = table.map(row => {
-                        const isTargetRow = indexedResults.some(indexedRow => 
-                            indexedRow._rowIndex !== undefined ? 
-                            table.indexOf(row) === indexedRow._rowIndex :
-                            JSON.stringify(row) === JSON.stringify(indexedRow)
-                        );
-                        
-                        if (isTargetRow && this._applyAllConditions(row)) {
-                            const newData = { ...row, ...updateData };
-                            if (this._trigger(tableName, 'update', row, newData)) {
-                                updatedCount++;
-                                
-                                // Log to WAL
-                                if (this._walLogs.has(tableName)) {
-                                    this._walLogs.get(tableName).logOperation('UPDATE', newData, row);
-                                }
-                                
-                                return newData;
-                            }
-                        }
-                        return row;
-                    });
-                    
-                    this._tables.set(tableName, updatedTable);
-                } else {
-                    // Fallback to full table scan
-                    updatedCount = this._updateFallback(tableName, updateData);
-                }
-            } else {
-                // No indexes available - use traditional update
-                updatedCount = this._updateFallback(tableName, updateData);
-            }
-
-            this._resetConditions();
-            
-            const updateTime = performance.now() - startTime;
-            this._log('update', { 
-                tableName, 
-                updatedCount,
-                updateTime: updateTime.toFixed(2) + 'ms',
-                indexUsed: this._metrics.indexUsage > 0,
-                storageMode: this._storageMode 
-            });
-            
-            return this;
-        }
-
-        /**
-         * Fallback update method for when indexes aren't available
-         * @private
-         */
-        _updateFallback(tableName, updateData) {
-            const table = this._tables.get(tableName);
-            let updatedCount = 0;
-            
-            const updatedTable = table.map(row => {
-                if (this._applyAllConditions(row)) {
-                    const newData = { ...row, ...updateData };
-                    if (this._trigger(tableName, 'update', row, newData)) {
-                        updatedCount++;
-                        
-                        // Log to WAL
-                        if (this._walLogs.has(tableName)) {
-                            this._walLogs.get(tableName).logOperation('UPDATE', newData, row);
-                        }
-                        
-                        return newData;
-                    }
-                }
-                return row;
-            });
-            
-            this._tables.set(tableName, updatedTable);
-            return updatedCount;
-        }
+    // Error classes
+    RockdexDB.RockdexError = RockdexError;
+    RockdexDB.TableNotFoundError = TableNotFoundError;
+    RockdexDB.SchemaValidationError = SchemaValidationError;
+    RockdexDB.ConstraintViolationError = ConstraintViolationError;
+    RockdexDB.TriggerAbortError = TriggerAbortError;
+    RockdexDB.ImportFormatError = ImportFormatError;
+    RockdexDB.Query = Query;
+    RockdexDB.BTreeIndex = BTreeIndex;
+    RockdexDB.OptimizedStorage = OptimizedStorage;
 
-        /**
-         * Apply all conditions to a single row
-         * @private
-         */
-        _applyAllConditions(row) {
-            return this._whereConditions.every(condition => {
-                switch (condition.operator) {
-                    case 'IN':
-                        return condition.value.includes(row[condition.field]);
-                    case 'LIKE':
-                        return String(row[condition.field]).includes(condition.value.replace(/%/g, ''));
-                    case '>':
-                        return row[condition.field] > condition.value;
-                    case '<':
-                        return row[condition.field] < condition.value;
-                    case '>=':
-                        return row[condition.field] >= condition.value;
-                    case '<=':
-                        return row[condition.field] <= condition.value;
-                    case '!=':
-                        return row[condition.field] !== condition.value;
-                    default:
-                        return row[condition.field] === condition.value;
-                }
-            });
-        }
-    }
+    // Aggregate functions for groupBy().aggregate()
+    RockdexDB.aggregates = aggregates;
 
     // Constants
     RockdexDB.AUTO_INCREMENT = 'AUTO_INCREMENT';
@@ -2294,7 +5914,17 @@
         LTE: '<=',
         NEQ: '!=',
         LIKE: 'LIKE',
-        IN: 'IN'
+        NOT_LIKE: 'NOT LIKE',
+        ILIKE: 'ILIKE',
+        REGEXP: 'REGEXP',
+        IN: 'IN',
+        NOT_IN: 'NOT IN',
+        BETWEEN: 'BETWEEN',
+        IS_NULL: 'IS NULL',
+        IS_NOT_NULL: 'IS NOT NULL',
+        CONTAINS: 'CONTAINS',
+        CONTAINS_ANY: 'CONTAINS_ANY',
+        CONTAINS_ALL: 'CONTAINS_ALL'
     };
 
     return RockdexDB;
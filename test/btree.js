@@ -0,0 +1,98 @@
+/**
+ * BTreeIndex as a B+tree: inserts, deletes, rebalancing and range scans
+ * Run: node test/btree.js
+ */
+
+const assert = require('assert');
+const { BTreeIndex } = require('../rockdex-db');
+
+// Deterministic shuffle, so a failure can be reproduced
+function shuffle(values, seed = 7) {
+    const shuffled = [...values];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        seed = (seed * 16807) % 2147483647;
+        const j = seed % (i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Every leaf at the same depth, nodes at least half full, keys ordered, leaves linked
+function checkTree(index) {
+    if (!index.root) return;
+    const minKeys = Math.floor(index.degree / 2);
+    const leafDepths = new Set();
+    const leaves = [];
+
+    (function visit(node, depth, isRoot) {
+        assert.ok(node.keys.length <= index.degree, 'node over capacity');
+        if (!isRoot) assert.ok(node.keys.length >= minKeys, 'node under half full');
+        for (let i = 1; i < node.keys.length; i++) {
+            assert.ok(node.keys[i - 1] < node.keys[i], 'keys out of order');
+        }
+        if (node.isLeaf) {
+            leafDepths.add(depth);
+            leaves.push(node);
+            return;
+        }
+        assert.strictEqual(node.children.length, node.keys.length + 1);
+        node.children.forEach(child => visit(child, depth + 1, false));
+    })(index.root, 0, true);
+
+    assert.strictEqual(leafDepths.size, 1, 'leaves at different depths');
+    leaves.forEach((leaf, i) => {
+        assert.strictEqual(leaf.prev, leaves[i - 1] || null);
+        assert.strictEqual(leaf.next, leaves[i + 1] || null);
+    });
+}
+
+const keys = index => [...index.entries()].map(entry => entry.key);
+
+function run() {
+    const index = new BTreeIndex(4);
+    const values = shuffle(Array.from({ length: 2000 }, (_, i) => i));
+    values.forEach(value => index.insert(value, `row${value}`));
+    index.insert(42, 'another row');
+    checkTree(index);
+    assert.strictEqual(index.size, 2001);
+    assert.strictEqual(index.keyCount, 2000);
+    assert.deepStrictEqual(index.search(42), ['row42', 'another row']);
+    console.log('✓ inserts keep the tree balanced and duplicates share a key');
+
+    assert.deepStrictEqual(index.searchRange(10, 14), ['row10', 'row11', 'row12', 'row13', 'row14']);
+    assert.deepStrictEqual(keys(index).slice(0, 3), [0, 1, 2]);
+    assert.deepStrictEqual([...index.entries({ reverse: true })].slice(0, 2).map(entry => entry.key), [1999, 1998]);
+    console.log('✓ range scans walk the linked leaves in both directions');
+
+    assert.strictEqual(index.delete(42, 'another row'), true);
+    assert.deepStrictEqual(index.search(42), ['row42']);
+    assert.strictEqual(index.delete(42, 'not stored'), false);
+    assert.strictEqual(index.delete(5000), false);
+    console.log('✓ delete removes one value, or reports that nothing matched');
+
+    const removed = shuffle(values, 11).slice(0, 1900);
+    removed.forEach((value, i) => {
+        assert.strictEqual(index.delete(value), true);
+        if (i % 100 === 0) checkTree(index);
+    });
+    checkTree(index);
+    const remaining = values.filter(value => !removed.includes(value)).sort((a, b) => a - b);
+    assert.deepStrictEqual(keys(index), remaining);
+    assert.strictEqual(index.size, 100);
+    assert.deepStrictEqual(index.search(removed[0]), []);
+    console.log('✓ deletes borrow from and merge with siblings, keeping every invariant');
+
+    remaining.forEach(value => index.delete(value));
+    assert.strictEqual(index.root, null);
+    assert.strictEqual(index.size, 0);
+    index.insert(1, 'again');
+    assert.deepStrictEqual(index.search(1), ['again']);
+    console.log('✓ an emptied tree collapses and can be reused');
+}
+
+try {
+    run();
+} catch (error) {
+    console.error(error);
+    process.exit(1);
+}
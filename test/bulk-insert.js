@@ -0,0 +1,103 @@
+/**
+ * bulkInsert constraint checks
+ * Run: node test/bulk-insert.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users', { email: { type: 'string', unique: true } });
+    db.insert('users', { id: 'u1', email: 'taken@example.com' });
+    db.createTable('orders');
+    db.setRelation('orders', 'users', 'belongsTo', { foreignKey: 'user_id', enforce: true });
+    return db;
+}
+
+// More rows than one 1000-row batch, so a late bad row used to follow a written batch
+const users = () => Array.from({ length: 1500 }, (_, i) => ({ email: `user${i}@example.com` }));
+
+async function run() {
+    let db = setup();
+    let rows = users();
+    rows[1200].email = rows[5].email;
+    await assert.rejects(db.bulkInsert('users', rows), RockdexDB.ConstraintViolationError);
+    assert.strictEqual(db.count('users'), 1);
+    console.log('✓ a duplicate inside the set rejects the insert before any batch is written');
+
+    rows = users();
+    rows[1200].email = 'taken@example.com';
+    await assert.rejects(db.bulkInsert('users', rows), error => error.code === 'CONSTRAINT_VIOLATION');
+    assert.strictEqual(db.count('users'), 1);
+    console.log('✓ a duplicate of a stored row rejects the insert before any batch is written');
+
+    const orders = Array.from({ length: 1500 }, () => ({ user_id: 'u1' }));
+    orders[1400].user_id = 'missing';
+    await assert.rejects(db.bulkInsert('orders', orders), error => error.constraint === 'foreignKey');
+    assert.strictEqual(db.count('orders'), 0);
+    console.log('✓ a missing foreign key rejects the insert before any batch is written');
+
+    db = setup();
+    await db.bulkInsert('users', users());
+    assert.strictEqual(db.count('users'), 1501);
+    console.log('✓ valid rows across several batches are all inserted');
+
+    db = setup();
+    rows = users();
+    rows[3].email = 'taken@example.com';
+    rows[1200].email = rows[5].email;
+    assert.strictEqual(await db.bulkInsert('users', rows, { invalid: 'skip' }), db);
+    assert.strictEqual(db.count('users'), 1499);
+    assert.strictEqual(db.where('email', rows[5].email).count('users'), 1);
+    console.log('✓ invalid: skip drops duplicates of stored rows and within the set');
+
+    db = setup();
+    const report = await db.bulkInsert('users', rows, { invalid: 'collect' });
+    assert.strictEqual(report.inserted, 1498);
+    assert.deepStrictEqual(report.rejected.map(({ index }) => index), [3, 1200]);
+    assert.strictEqual(report.rejected[1].record, rows[1200]);
+    assert.deepStrictEqual(
+        report.rejected.map(({ violations }) => [violations[0].field, violations[0].rule, violations[0].actual]),
+        [['email', 'unique', 'taken@example.com'], ['email', 'unique', rows[5].email]]
+    );
+    assert.strictEqual(db.count('users'), 1499);
+    console.log('✓ invalid: collect reports duplicate keys as rejected rows');
+
+    const orderReport = await db.bulkInsert('orders', orders, { invalid: 'collect' });
+    assert.strictEqual(orderReport.inserted, 1499);
+    assert.deepStrictEqual(orderReport.rejected[0].violations[0], {
+        field: 'user_id',
+        rule: 'foreignKey',
+        expected: 'users.id',
+        actual: 'missing',
+        message: "No row in 'users' with id \"missing\" for foreign key 'user_id' on table 'orders'"
+    });
+    console.log('✓ invalid: collect reports missing foreign keys as rejected rows');
+
+    // Keys in the set compare as the index compares them: a Date and its ISO string differ, -0 and 0 do not
+    db = new RockdexDB();
+    db.createTable('events');
+    db.createIndex('events', 'at', { unique: true });
+    const at = new Date('2024-01-01T00:00:00.000Z');
+    await db.bulkInsert('events', [{ at }, { at: at.toISOString() }]);
+    assert.strictEqual(db.count('events'), 2);
+    await assert.rejects(db.bulkInsert('events', [{ at: 0 }, { at: -0 }]), { code: 'CONSTRAINT_VIOLATION' });
+    assert.strictEqual(db.count('events'), 2);
+    console.log('✓ duplicates inside the set are found with the index comparator');
+
+    // A write made while bulkInsert yields between batches is checked against the later batches
+    db = setup();
+    rows = users();
+    const pending = db.bulkInsert('users', rows);
+    assert.strictEqual(db.count('users'), 1001, 'the first batch is written before bulkInsert yields');
+    db.insert('users', { email: rows[1200].email });
+    await assert.rejects(pending, { code: 'CONSTRAINT_VIOLATION' });
+    assert.strictEqual(db.where('email', rows[1200].email).count('users'), 1);
+    console.log('✓ rows written by others between batches are still checked');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
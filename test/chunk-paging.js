@@ -0,0 +1,56 @@
+/**
+ * OptimizedStorage chunk paging
+ * Run: node test/chunk-paging.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RockdexDB = require('../rockdex-db');
+
+const chunkPath = fs.mkdtempSync(path.join(os.tmpdir(), 'rockdex-chunks-test-'));
+const rows = Array.from({ length: 95 }, (_, i) => ({ id: i + 1, group: i % 3 }));
+
+function run() {
+    const storage = new RockdexDB.OptimizedStorage({ chunkSize: 10, maxMemoryChunks: 2, chunkPath });
+    storage.loadTable('big', rows);
+    assert.deepStrictEqual(storage.getStats(), { total: 10, resident: 2, paged: 8 });
+    assert.strictEqual(fs.readdirSync(chunkPath).length, 8);
+    console.log('✓ loading keeps maxMemoryChunks chunks resident and pages the rest to chunk files');
+
+    const seen = [];
+    for (const row of storage.streamRecords('big')) {
+        assert.ok(storage.getStats().resident <= 2, 'resident chunks stay within maxMemoryChunks');
+        seen.push(row.id);
+    }
+    assert.deepStrictEqual(seen, rows.map(row => row.id));
+    assert.deepStrictEqual([...storage.streamRecords('big', { group: 1 })].length, 32);
+    console.log('✓ scans reload paged chunks on demand and see every row');
+
+    assert.deepStrictEqual(storage.getChunk('big', 0), rows.slice(0, 10));
+    assert.deepStrictEqual(storage.getChunk('big', 9), rows.slice(90));
+    assert.deepStrictEqual(storage.getChunk('big', 10), []);
+    console.log('✓ getChunk returns paged chunks instead of an empty array');
+
+    storage.unloadTable('big');
+    assert.deepStrictEqual(storage.getStats(), { total: 0, resident: 0, paged: 0 });
+    assert.deepStrictEqual(fs.readdirSync(chunkPath), []);
+    console.log('✓ unloading a table removes its chunk files');
+
+    const db = new RockdexDB({ chunkSize: 10, maxMemoryChunks: 3, chunkPath });
+    db.setTable('big', rows);
+    assert.deepStrictEqual(db.getStorageStats().chunks, { total: 10, resident: 3, paged: 7 });
+    db.dropTable('big');
+    assert.deepStrictEqual(db.getStorageStats().chunks, { total: 0, resident: 0, paged: 0 });
+    console.log('✓ chunkSize and maxMemoryChunks reach the database chunk store');
+}
+
+try {
+    run();
+} catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(chunkPath, { recursive: true, force: true });
+}
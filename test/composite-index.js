@@ -0,0 +1,64 @@
+/**
+ * Composite indexes and prefix matching
+ * Run: node test/composite-index.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const statuses = ['paid', 'open', 'void'];
+const orders = Array.from({ length: 300 }, (_, i) => ({
+    id: i + 1,
+    tenantId: i % 3,
+    status: statuses[i % 5 % 3],
+    createdAt: `2024-01-${String(i % 28 + 1).padStart(2, '0')}`
+}));
+
+const ids = rows => rows.map(row => row.id).sort((a, b) => a - b);
+const expected = predicate => ids(orders.filter(predicate));
+
+async function run() {
+    const db = new RockdexDB();
+    db.createTable('orders');
+    db.setTable('orders', orders.map(order => ({ ...order })));
+    db.createIndex('orders', ['tenantId', 'status', 'createdAt']);
+
+    const usage = () => db.getPerformanceMetrics().indexUsage;
+    let before = usage();
+
+    assert.deepStrictEqual(
+        ids(await db.where('tenantId', 1).where('status', 'paid').whereOperator('createdAt', '>=', '2024-01-20').get('orders')),
+        expected(o => o.tenantId === 1 && o.status === 'paid' && o.createdAt >= '2024-01-20')
+    );
+    assert.ok(usage() > before, 'equality on the leading columns plus a range on the next uses the index');
+    console.log('✓ equality prefix plus a range on the next column');
+
+    before = usage();
+    assert.deepStrictEqual(ids(await db.where('tenantId', 2).get('orders')), expected(o => o.tenantId === 2));
+    assert.deepStrictEqual(
+        ids(await db.where('status', 'void').where('tenantId', 0).get('orders')),
+        expected(o => o.tenantId === 0 && o.status === 'void')
+    );
+    assert.ok(usage() >= before + 2, 'a leading prefix is matched whatever the condition order');
+    console.log('✓ shorter prefixes in any condition order');
+
+    assert.deepStrictEqual(
+        ids(await db.where('tenantId', 0).whereOperator('createdAt', '<', '2024-01-03').get('orders')),
+        expected(o => o.tenantId === 0 && o.createdAt < '2024-01-03')
+    );
+    assert.deepStrictEqual(ids(await db.where('status', 'open').get('orders')), expected(o => o.status === 'open'));
+    console.log('✓ conditions the prefix cannot serve are still applied');
+
+    db.where('id', 1).update('orders', { status: 'void' });
+    db.where('id', 4).delete('orders');
+    db.insert('orders', { id: 301, tenantId: 0, status: 'void', createdAt: '2024-02-01' });
+    const current = await db.where('tenantId', 0).where('status', 'void').get('orders');
+    assert.ok(current.some(order => order.id === 1) && current.some(order => order.id === 301));
+    assert.ok(!current.some(order => order.id === 4));
+    console.log('✓ composite keys follow updates, deletes and inserts');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,82 @@
+/**
+ * Dot paths into nested objects, array containment and multikey indexes
+ * Run: node test/dot-paths.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const users = [
+    { id: 1, address: { city: 'Lagos', geo: { zone: 'west' } }, profile: { lastName: 'Okafor' }, tags: ['vip', 'beta'] },
+    { id: 2, address: { city: 'Accra' }, profile: { lastName: 'Mensah' }, tags: ['beta'] },
+    { id: 3, address: { city: 'Lagos', geo: { zone: 'east' } }, profile: { lastName: 'Adeyemi' }, tags: [] },
+    { id: 4, profile: { lastName: 'Banda' }, tags: ['vip', 'staff', 'beta'] },
+    { id: 5, address: null, profile: { lastName: 'Diallo' } }
+];
+
+const orders = [
+    { id: 1, items: [{ sku: 'A-100', qty: 1 }, { sku: 'B-200', qty: 2 }] },
+    { id: 2, items: [{ sku: 'B-200', qty: 5 }] },
+    { id: 3, items: [] }
+];
+
+const ids = rows => rows.map(row => row.id);
+const sorted = rows => ids(rows).sort((a, b) => a - b);
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', users.map(user => JSON.parse(JSON.stringify(user))));
+    db.createTable('orders');
+    db.setTable('orders', orders.map(order => JSON.parse(JSON.stringify(order))));
+    return db;
+}
+
+async function check(db) {
+    assert.deepStrictEqual(sorted(await db.where('address.city', 'Lagos').get('users')), [1, 3]);
+    assert.deepStrictEqual(sorted(await db.where('address.geo.zone', 'east').get('users')), [3]);
+    assert.deepStrictEqual(sorted(await db.whereNull('address.city').get('users')), [4, 5], 'a missing parent reads as null');
+
+    assert.deepStrictEqual(sorted(await db.whereContains('tags', 'vip').get('users')), [1, 4]);
+    assert.deepStrictEqual(sorted(await db.whereContainsAny('tags', ['staff', 'beta']).get('users')), [1, 2, 4]);
+    assert.deepStrictEqual(sorted(await db.whereContainsAll('tags', ['beta', 'vip']).get('users')), [1, 4]);
+    assert.deepStrictEqual(sorted(await db.whereContains('items.sku', 'B-200').get('orders')), [1, 2]);
+    assert.deepStrictEqual(sorted(await db.whereContains('items.sku', 'A-100').get('orders')), [1]);
+}
+
+async function run() {
+    let db = setup();
+    await check(db);
+    console.log('✓ where and containment operators follow dot paths');
+
+    assert.deepStrictEqual(ids(await db.orderBy('profile.lastName').get('users')), [3, 4, 5, 2, 1]);
+    assert.deepStrictEqual(db.distinct('users', 'address.city').sort(), ['Accra', 'Lagos', undefined]);
+    assert.deepStrictEqual(sorted(await db.search({ 'address.city': 'lag' }).get('users')), [1, 3]);
+    console.log('✓ orderBy, distinct and search follow dot paths');
+
+    db.createIndex('users', 'address.city');
+    db.createIndex('users', 'tags', { multikey: true });
+    db.createIndex('orders', 'items.sku', { multikey: true });
+    await check(db);
+    assert.deepStrictEqual(db.whereContains('tags', 'staff').explain('users').indexes, ['tags[]']);
+    assert.deepStrictEqual(db.where('address.city', 'Accra').explain('users').indexes, ['address.city']);
+    assert.strictEqual(db.where('tags', 'vip').explain('users').access, 'scan', 'a multikey index only serves containment');
+    console.log('✓ nested and multikey indexes serve the same queries');
+
+    db.where('id', 4).update('users', { tags: ['staff'] });
+    db.insert('users', { id: 6, tags: ['vip', 'vip'] });
+    assert.deepStrictEqual(sorted(await db.whereContains('tags', 'vip').get('users')), [1, 6]);
+    assert.deepStrictEqual(sorted(await db.whereContainsAll('tags', ['beta', 'vip']).get('users')), [1]);
+    db.where('id', 1).delete('users');
+    assert.deepStrictEqual(sorted(await db.whereContains('tags', 'vip').get('users')), [6]);
+    console.log('✓ multikey index entries follow writes, once per row');
+
+    db = setup();
+    assert.throws(() => db.createIndex('users', ['tags', 'id'], { multikey: true }), /single array field/);
+    console.log('✓ a multikey index covers one field');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * with() eager loading of declared relations
+ * Run: node test/eager-loading.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', [{ id: 1, name: 'Ada' }, { id: 2, name: 'Kofi' }, { id: 3, name: 'Zara' }]);
+    db.createTable('profiles');
+    db.setTable('profiles', [{ id: 1, user_id: 2, bio: 'Builder' }]);
+    db.createTable('posts');
+    db.setTable('posts', [
+        { id: 10, user_id: 1, title: 'Hello', published: true, created_at: 1 },
+        { id: 11, user_id: 1, title: 'Draft', published: false, created_at: 2 },
+        { id: 12, user_id: 2, title: 'Mine', published: true, created_at: 3 },
+        { id: 13, user_id: 1, title: 'Later', published: true, created_at: 4 }
+    ]);
+    db.createTable('comments');
+    db.setTable('comments', [
+        { id: 100, post_id: 10, body: 'Nice' },
+        { id: 101, post_id: 12, body: 'Thanks' },
+        { id: 102, post_id: 10, body: 'Agreed' }
+    ]);
+
+    db.setRelation('users', 'posts', 'hasMany', 'user_id');
+    db.setRelation('users', 'profiles', 'hasOne', { foreignKey: 'user_id', as: 'profile' });
+    db.setRelation('posts', 'users', 'belongsTo', { foreignKey: 'user_id', as: 'author' });
+    db.setRelation('posts', 'comments', 'hasMany', 'post_id');
+    return db;
+}
+
+const ids = rows => rows.map(row => row.id);
+
+async function run() {
+    const db = setup();
+    const users = await db.with('posts').with('profile').get('users');
+    assert.deepStrictEqual(users.map(user => ids(user.posts)), [[10, 11, 13], [12], []]);
+    assert.deepStrictEqual(users.map(user => user.profile && user.profile.bio), [null, 'Builder', null]);
+    assert.strictEqual(db.where('id', 1).getOne('users').posts, undefined, 'stored rows are not changed');
+    console.log('✓ hasMany and hasOne attach related rows to copies');
+
+    const posts = await db.with('author').orderBy('id').get('posts');
+    assert.deepStrictEqual(posts.map(post => post.author.name), ['Ada', 'Ada', 'Kofi', 'Ada']);
+    db.insert('posts', { id: 14, user_id: 99, title: 'Orphan' });
+    assert.strictEqual(db.with('author').where('id', 14).getOne('posts').author, null);
+    console.log('✓ belongsTo attaches the owner, or null when it is missing');
+
+    const nested = await db.with('posts.comments').where('id', 1).get('users');
+    assert.deepStrictEqual(nested[0].posts.map(post => ids(post.comments)), [[100, 102], [], []]);
+    console.log('✓ nested relations load level by level');
+
+    const published = await db.with('posts', q => q.where('published', true).orderBy('created_at', 'DESC')).get('users');
+    assert.deepStrictEqual(published.map(user => ids(user.posts)), [[13, 10], [12], []]);
+    const shaped = await db.with({ author: null, comments: q => q.select(['id', 'body']) }).where('id', 10).get('posts');
+    assert.deepStrictEqual(shaped[0].comments, [{ id: 100, body: 'Nice' }, { id: 102, body: 'Agreed' }]);
+    assert.strictEqual(shaped[0].author.name, 'Ada');
+    console.log('✓ constraints filter, order and shape the related rows');
+
+    const selected = db.select(['name']).with('profile').where('id', 2).getOne('users');
+    assert.deepStrictEqual(selected, { name: 'Kofi', profile: { id: 1, user_id: 2, bio: 'Builder' } });
+    assert.strictEqual(db.with('posts').paginate('users', 1, 2).data[0].posts.length, 3);
+    console.log('✓ relations combine with select, getOne and paginate');
+
+    const before = db.getPerformanceMetrics().totalQueries;
+    await db.with('posts.comments').get('users');
+    assert.ok(db.getPerformanceMetrics().totalQueries - before <= 3, 'one query per relation, not per row');
+    console.log('✓ each relation is loaded with one batched query');
+
+    await assert.rejects(db.with('followers').get('users'), /followers/);
+    assert.strictEqual((await db.get('users'))[0].posts, undefined, 'with() is reset after each query');
+    console.log('✓ unknown relations are rejected');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Typed errors, stable codes and getLastError()
+ * Run: node test/errors.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const {
+    RockdexError,
+    TableNotFoundError,
+    SchemaValidationError,
+    ConstraintViolationError,
+    TriggerAbortError,
+    ImportFormatError
+} = RockdexDB;
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users', { email: { type: 'string', required: true, unique: true }, age: { type: 'number', max: 120 } });
+    db.insert('users', { id: 1, email: 'ada@example.com', age: 36 });
+    return db;
+}
+
+// Run a call that must throw, check the error class and code, and that getLastError() returns it
+function expectError(db, call, Class, code) {
+    let thrown = null;
+    try {
+        call();
+    } catch (error) {
+        thrown = error;
+    }
+    assert.ok(thrown instanceof Class, `expected ${Class.name}, got ${thrown && thrown.name}`);
+    assert.ok(thrown instanceof RockdexError && thrown instanceof Error);
+    assert.strictEqual(thrown.code, code);
+    assert.strictEqual(thrown.name, Class.name);
+    assert.strictEqual(db.getLastError(), thrown);
+    return thrown;
+}
+
+async function run() {
+    const db = setup();
+    assert.strictEqual(new RockdexDB().getLastError(), null);
+
+    let error = expectError(db, () => db.count('missing'), TableNotFoundError, 'TABLE_NOT_FOUND');
+    assert.strictEqual(error.table, 'missing');
+    error = expectError(db, () => db.insert('users', { email: 'kofi@example.com', age: 150 }), SchemaValidationError, 'SCHEMA_VALIDATION');
+    assert.deepStrictEqual([error.table, error.field, error.rule, error.expected, error.actual], ['users', 'age', 'max', 120, 150]);
+    error = expectError(db, () => db.insert('users', { email: 'ada@example.com' }), ConstraintViolationError, 'CONSTRAINT_VIOLATION');
+    assert.deepStrictEqual([error.table, error.constraint, error.fields, error.value], ['users', 'unique', ['email'], 'ada@example.com']);
+    console.log('✓ missing tables, schema rules and constraints have their own classes and fields');
+
+    db.createTrigger('users', 'noBots', ({ NEW }) => !/bot/.test(NEW.email));
+    error = expectError(db, () => db.insert('users', { email: 'bot@example.com' }), TriggerAbortError, 'TRIGGER_ABORT');
+    assert.deepStrictEqual([error.table, error.operation], ['users', 'beforeInsert']);
+    expectError(db, () => db.createTrigger('users', 'noBots', () => true), RockdexError, 'ALREADY_EXISTS');
+    expectError(db, () => db.dropTrigger('users', 'nothing'), RockdexError, 'NOT_FOUND');
+    expectError(db, () => db.createTable('users'), RockdexError, 'ALREADY_EXISTS');
+    expectError(db, () => db.whereOperator('age', 'ABOUT', 3), RockdexError, 'INVALID_ARGUMENT');
+    expectError(db, () => db.where('age', '>', 18), RockdexError, 'INVALID_ARGUMENT');
+    expectError(db, () => db.orderBy('age', 'UP'), RockdexError, 'INVALID_ARGUMENT');
+    expectError(db, () => db.setTable('users', 'rows'), RockdexError, 'INVALID_ARGUMENT');
+    expectError(db, () => db.with('friends').getOne('users'), RockdexError, 'NOT_FOUND');
+    console.log('✓ triggers, duplicates, unknown names and bad arguments carry stable codes');
+
+    error = expectError(db, () => db.importTable('users', '{ not json'), ImportFormatError, 'IMPORT_FORMAT');
+    assert.ok(error.cause instanceof SyntaxError);
+    assert.strictEqual(error.table, 'users');
+    error = expectError(db, () => db.importTable('users', JSON.stringify({ posts: { rows: [] } })), ImportFormatError, 'IMPORT_FORMAT');
+    assert.strictEqual(error.cause, undefined);
+    assert.match(error.message, /Table 'users' not found/);
+    expectError(db, () => db.fromJSON('users', '[oops'), ImportFormatError, 'IMPORT_FORMAT');
+    expectError(db, () => db.fromJSON('users', '{"id": 1}'), ImportFormatError, 'IMPORT_FORMAT');
+    expectError(db, () => db.restore('nope'), ImportFormatError, 'IMPORT_FORMAT');
+    assert.strictEqual(db.count('users'), 1, 'failed imports change nothing');
+    console.log('✓ malformed imports raise ImportFormatError, keeping the parse error as cause');
+
+    await assert.rejects(db.get('missing'), error => error instanceof TableNotFoundError && db.getLastError() === error);
+    assert.throws(() => db.transaction(tx => {
+        tx.insert('users', { email: 'grace@example.com' });
+        tx.insert('users', { email: 'ada@example.com' });
+    }), ConstraintViolationError);
+    assert.strictEqual(db.count('users'), 1, 'the transaction was rolled back');
+    await assert.rejects(db.transaction(async tx => {
+        tx.insert('users', { email: 'grace@example.com' });
+        tx.where('email', 'grace@example.com').update('users', { email: 'ada@example.com' });
+    }), ConstraintViolationError);
+    assert.strictEqual(db.count('users'), 1);
+    console.log('✓ async methods and transactions pass the typed errors on');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,61 @@
+/**
+ * File storage mode: loading and persisting .rdb table files
+ * Run: node test/file-storage.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RockdexDB = require('../rockdex-db');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'rockdex-file-'));
+const usersFile = path.join(storagePath, 'users.rdb');
+
+const open = (config = {}) => new RockdexDB({
+    storageMode: 'file',
+    storagePath,
+    storageTable: ['users.rdb', 'posts.rdb'],
+    ...config
+}).ready();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+    fs.writeFileSync(usersFile, JSON.stringify({
+        users: { rows: [{ id: 1, name: 'Ada' }], schema: { name: { type: 'string', required: true } } }
+    }));
+
+    let db = await open();
+    assert.strictEqual(db.count('users'), 1);
+    assert.strictEqual(db.count('posts'), 0, 'a missing file starts as an empty table');
+    assert.throws(() => db.insert('users', { id: 2 }), /name/, 'the stored schema is loaded');
+    console.log('✓ ready() loads rows and schemas from the .rdb files');
+
+    db.insert('users', { id: 2, name: 'Grace' });
+    await sleep(200);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(usersFile, 'utf8')).users.rows.map(user => user.name), ['Ada', 'Grace']);
+    console.log('✓ changes are written back after persistDelay');
+
+    db = await open({ persistDelay: 60000 });
+    db.where('id', 1).update('users', { name: 'Ada Lovelace' });
+    db.insert('posts', { id: 1, title: 'Notes' });
+    db.flush();
+    const reopened = await open();
+    assert.strictEqual(reopened.where('id', 1).getOne('users').name, 'Ada Lovelace');
+    assert.strictEqual(reopened.count('posts'), 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(usersFile, 'utf8')).users.schema.name.required, true);
+    console.log('✓ flush() writes pending tables right away, in the getTableExport() format');
+
+    fs.writeFileSync(usersFile, '{ not json');
+    await assert.rejects(open(), /users/);
+    assert.strictEqual(fs.readFileSync(usersFile, 'utf8'), '{ not json', 'the broken file is left alone');
+    console.log('✓ an unparsable file rejects ready() instead of being overwritten');
+}
+
+run()
+    .then(() => fs.rmSync(storagePath, { recursive: true, force: true }))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
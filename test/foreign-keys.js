@@ -0,0 +1,96 @@
+/**
+ * Foreign key enforcement with cascade, setNull and restrict actions
+ * Run: node test/foreign-keys.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const isForeignKey = error => error instanceof RockdexDB.ConstraintViolationError && error.constraint === 'foreignKey';
+
+function setup(config) {
+    const db = new RockdexDB(config);
+    db.createTable('users');
+    db.setTable('users', [{ id: 1, name: 'Ada' }, { id: 2, name: 'Kofi' }, { id: 3, name: 'Zara' }]);
+    db.createTable('posts');
+    db.setTable('posts', [{ id: 10, user_id: 1 }, { id: 11, user_id: 1 }, { id: 12, user_id: 2 }]);
+    db.createTable('comments');
+    db.setTable('comments', [{ id: 100, post_id: 10 }, { id: 101, post_id: 12 }]);
+    db.createTable('orders');
+    db.setTable('orders', [{ id: 1000, user_id: 2 }]);
+    return db;
+}
+
+// Stored rows, soft deleted ones included
+const storedRows = (db, table) => JSON.parse(db.getTableExport(table))[table].rows;
+const snapshot = db => ['users', 'posts', 'comments', 'orders'].map(table => storedRows(db, table));
+
+async function run() {
+    let db = setup();
+    db.setRelation('orders', 'users', 'belongsTo', { foreignKey: 'user_id', enforce: true });
+    assert.throws(() => db.insert('orders', { id: 1001, user_id: 999 }), isForeignKey);
+    db.insert('orders', { id: 1001, user_id: 3 });
+    db.insert('orders', { id: 1002, user_id: null });
+    assert.throws(() => db.where('id', 1001).update('orders', { user_id: 42 }), isForeignKey);
+    assert.strictEqual(db.where('id', 1001).getOne('orders').user_id, 3);
+    console.log('✓ enforced foreign keys reject missing parents on insert and update, allowing null');
+
+    assert.throws(() => db.where('id', 2).delete('users'), isForeignKey);
+    assert.throws(() => db.where('id', 3).update('users', { id: 30 }), isForeignKey);
+    assert.strictEqual(db.count('users'), 3);
+    db.where('id', 1).delete('users');
+    assert.strictEqual(db.count('users'), 2, 'an unreferenced parent can be deleted');
+    console.log('✓ restrict is the default for deletes and key updates');
+
+    db = setup();
+    db.setRelation('users', 'posts', 'hasMany', { foreignKey: 'user_id', onDelete: 'cascade', onUpdate: 'cascade' });
+    db.setRelation('posts', 'comments', 'hasMany', { foreignKey: 'post_id', onDelete: 'cascade' });
+    db.where('id', 1).delete('users');
+    assert.deepStrictEqual((await db.get('posts')).map(post => post.id), [12]);
+    assert.deepStrictEqual((await db.get('comments')).map(comment => comment.id), [101]);
+    db.where('id', 2).update('users', { id: 20 });
+    assert.strictEqual(db.where('id', 12).getOne('posts').user_id, 20);
+    console.log('✓ cascade deletes follow several levels and cascade updates rewrite child keys');
+
+    db = setup();
+    db.setRelation('users', 'posts', 'hasMany', { foreignKey: 'user_id', onDelete: 'setNull', onUpdate: 'setNull' });
+    db.where('id', 1).delete('users');
+    assert.deepStrictEqual((await db.where('user_id', null).get('posts')).map(post => post.id), [10, 11]);
+    db.where('id', 2).update('users', { id: 20 });
+    assert.strictEqual(db.where('id', 12).getOne('posts').user_id, null);
+    console.log('✓ setNull clears the child keys');
+
+    // users -> posts cascades, but orders restrict deleting user 2 and comments restrict deleting post 10
+    for (const order of ['cascade first', 'restrict first']) {
+        db = setup();
+        const cascade = () => db.setRelation('users', 'posts', 'hasMany', { foreignKey: 'user_id', onDelete: 'cascade' });
+        const restrict = () => {
+            db.setRelation('users', 'orders', 'hasMany', { foreignKey: 'user_id', onDelete: 'restrict' });
+            db.setRelation('posts', 'comments', 'hasMany', { foreignKey: 'post_id', onDelete: 'restrict' });
+        };
+        (order === 'cascade first' ? [cascade, restrict] : [restrict, cascade]).forEach(declare => declare());
+
+        const before = snapshot(db);
+        assert.throws(() => db.where('id', 2).delete('users'), isForeignKey, order);
+        assert.throws(() => db.whereIn('id', [1, 3]).delete('users'), isForeignKey, `${order}: blocked further down the cascade`);
+        assert.deepStrictEqual(snapshot(db), before, `${order}: a blocked delete leaves every table untouched`);
+        db.where('id', 3).delete('users');
+        assert.strictEqual(db.count('users'), 2);
+    }
+    console.log('✓ restrict anywhere along a cascade blocks the whole delete, whatever the declaration order');
+
+    db = setup({ softDelete: true });
+    db.setRelation('users', 'posts', 'hasMany', { foreignKey: 'user_id', onDelete: 'cascade' });
+    db.where('id', 1).delete('users');
+    assert.strictEqual(db.count('posts'), 1);
+    assert.strictEqual(storedRows(db, 'posts').filter(post => post.deleted_at).length, 2, 'children are soft deleted too');
+    console.log('✓ cascades soft delete when soft delete is on');
+
+    assert.throws(() => db.setRelation('users', 'posts', 'hasMany', { foreignKey: 'user_id', onDelete: 'explode' }), /explode/);
+    console.log('✓ unknown actions are rejected');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
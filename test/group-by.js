@@ -0,0 +1,84 @@
+/**
+ * groupBy() with aggregates and having()
+ * Run: node test/group-by.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const { sum, count, avg, min, max } = RockdexDB.aggregates;
+
+const orders = [
+    { id: 1, region: 'EU', status: 'paid', amount: 100, year: 2024 },
+    { id: 2, region: 'EU', status: 'paid', amount: 300, year: 2024 },
+    { id: 3, region: 'EU', status: 'open', amount: 50, year: 2024 },
+    { id: 4, region: 'US', status: 'paid', amount: 0, year: 2024 },
+    { id: 5, region: 'US', status: 'paid', amount: null, year: 2024 },
+    { id: 6, region: 'US', status: 'paid', amount: 700, year: 2023 },
+    { id: 7, status: 'open', amount: 20, year: 2024 }
+];
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('orders');
+    db.setTable('orders', orders.map(order => ({ ...order })));
+    return db;
+}
+
+async function run() {
+    const db = setup();
+    const groups = await db
+        .where('year', 2024)
+        .groupBy(['region', 'status'])
+        .aggregate({ total: sum('amount'), n: count(), amounts: count('amount'), mean: avg('amount'), low: min('amount'), high: max('amount') })
+        .get('orders');
+    assert.deepStrictEqual(groups, [
+        { region: 'EU', status: 'paid', total: 400, n: 2, amounts: 2, mean: 200, low: 100, high: 300 },
+        { region: 'EU', status: 'open', total: 50, n: 1, amounts: 1, mean: 50, low: 50, high: 50 },
+        { region: 'US', status: 'paid', total: 0, n: 2, amounts: 1, mean: 0, low: 0, high: 0 },
+        { region: null, status: 'open', total: 20, n: 1, amounts: 1, mean: 20, low: 20, high: 20 }
+    ]);
+    console.log('✓ one row per group, nulls skipped by field aggregates and a missing key grouped as null');
+
+    const large = await db
+        .groupBy('region')
+        .aggregate({ total: sum('amount'), ids: rows => rows.map(row => row.id) })
+        .having('total', '>', 100)
+        .orderBy('total', 'DESC')
+        .get('orders');
+    assert.deepStrictEqual(large, [
+        { region: 'US', total: 700, ids: [4, 5, 6] },
+        { region: 'EU', total: 450, ids: [1, 2, 3] }
+    ]);
+    assert.deepStrictEqual(
+        await db.groupBy('status').aggregate({ n: count() }).having(group => group.n === 2).get('orders'),
+        [{ status: 'open', n: 2 }]
+    );
+    assert.deepStrictEqual(await db.groupBy('status').aggregate({ n: count() }).having('status', 'paid').get('orders'),
+        [{ status: 'paid', n: 5 }]);
+    console.log('✓ having filters groups, and orderBy applies to the groups');
+
+    assert.deepStrictEqual(await db.groupBy('region').orderBy('region').limit(1, 1).get('orders'), [{ region: 'EU' }]);
+    assert.deepStrictEqual(
+        db.groupBy('region').aggregate({ n: count() }).select('n as orders').orderBy('n').getOne('orders'),
+        { orders: 1 }
+    );
+    assert.strictEqual(db.groupBy('region').aggregate({ n: count() }).paginate('orders', 1, 2).pagination.total, 3);
+    console.log('✓ limit, select, getOne and paginate apply to the groups');
+
+    assert.deepStrictEqual(await db.aggregate({ n: count(), revenue: sum('amount') }).get('orders'), [{ n: 7, revenue: 1170 }]);
+    assert.deepStrictEqual(await db.where('year', 1999).aggregate({ n: count(), revenue: sum('amount'), top: max('amount') }).get('orders'),
+        [{ n: 0, revenue: 0, top: null }]);
+    assert.deepStrictEqual(await db.where('year', 1999).groupBy('region').aggregate({ n: count() }).get('orders'), []);
+    console.log('✓ without groupBy there is exactly one summary row');
+
+    assert.deepStrictEqual(Object.keys(db.groupBy('orders', 'status')), ['paid', 'open']);
+    assert.strictEqual(db.count('orders'), 7, 'the grouping is reset after each query');
+    assert.throws(() => db.aggregate({ bad: 'sum' }), /must come from RockdexDB.aggregates/);
+    console.log('✓ the legacy groupBy(table, column) form and invalid aggregates');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Secondary indexes stay current on every mutation path
+ * Run: node test/index-maintenance.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const ids = rows => rows.map(row => row.id).sort((a, b) => a - b);
+
+function setup(config = {}) {
+    const db = new RockdexDB(config);
+    db.createTable('users');
+    db.setTable('users', [
+        { id: 1, age: 30, city: 'Lagos' },
+        { id: 2, age: 30, city: 'Accra' },
+        { id: 3, age: 41, city: 'Lagos' }
+    ]);
+    db.createIndex('users', 'age');
+    db.createIndex('users', 'city');
+    return db;
+}
+
+async function run() {
+    let db = setup();
+    db.where('id', 1).update('users', { age: 31 });
+    assert.deepStrictEqual(ids(await db.where('age', 30).get('users')), [2]);
+    assert.deepStrictEqual(ids(await db.where('age', 31).get('users')), [1]);
+    assert.deepStrictEqual(ids(await db.whereOperator('age', '>', 30).get('users')), [1, 3]);
+    console.log('✓ update moves rows between index keys');
+
+    db.where('id', 3).delete('users');
+    assert.deepStrictEqual(ids(await db.where('city', 'Lagos').get('users')), [1]);
+    console.log('✓ delete removes rows from every index');
+
+    db.insert('users', { id: 4, age: 30, city: 'Lagos' });
+    assert.deepStrictEqual(ids(await db.where('age', 30).get('users')), [2, 4]);
+    console.log('✓ insert adds rows to every index');
+
+    db.dropColumn('users', 'city');
+    assert.deepStrictEqual(ids(await db.where('city', 'Lagos').get('users')), []);
+    console.log('✓ dropColumn empties the column index');
+
+    const backup = db.backup();
+    db.truncate('users');
+    assert.deepStrictEqual(ids(await db.where('age', 30).get('users')), []);
+    db.restore(backup);
+    assert.deepStrictEqual(ids(await db.where('age', 30).get('users')), [2, 4]);
+    console.log('✓ truncate and restore rebuild the indexes');
+
+    db.setTable('users', [{ id: 5, age: 30 }]);
+    assert.deepStrictEqual(ids(await db.where('age', 30).get('users')), [5]);
+    console.log('✓ setTable replaces the indexed rows');
+
+    db = setup({ softDelete: true });
+    db.where('id', 2).delete('users');
+    assert.deepStrictEqual(ids(await db.where('age', 30).get('users')), [1]);
+    db.where('id', 1).update('users', { city: 'Abuja' });
+    assert.deepStrictEqual(ids(await db.where('city', 'Abuja').get('users')), [1]);
+    console.log('✓ soft deleted rows drop out of indexed queries');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,99 @@
+/**
+ * Inner, left, right and full joins
+ * Run: node test/joins.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', [
+        { id: 1, name: 'Ada', manager_id: null },
+        { id: 2, name: 'Kofi', manager_id: 1 },
+        { id: 3, name: 'Zara', manager_id: 1 }
+    ]);
+    db.createTable('posts');
+    db.setTable('posts', [
+        { id: 10, user_id: 1, title: 'Hello' },
+        { id: 11, user_id: 1, title: 'Again' },
+        { id: 12, user_id: 2, title: 'Mine' },
+        { id: 13, user_id: 9, title: 'Orphan' },
+        { id: 14, user_id: null, title: 'Anonymous' }
+    ]);
+    db.createTable('comments');
+    db.setTable('comments', [
+        { id: 100, post_id: 10, body: 'Nice' },
+        { id: 101, post_id: 12, body: 'Thanks' }
+    ]);
+    return db;
+}
+
+const pairs = rows => rows.map(row => [row.users_id, row.posts_id]);
+
+async function check(db) {
+    assert.deepStrictEqual(pairs(await db.innerJoin('posts', 'users_id', 'user_id').get('users')), [[1, 10], [1, 11], [2, 12]]);
+
+    const left = await db.leftJoin('posts', 'users_id', 'user_id').get('users');
+    assert.deepStrictEqual(pairs(left), [[1, 10], [1, 11], [2, 12], [3, null]]);
+    assert.deepStrictEqual(left[3], { users_id: 3, users_name: 'Zara', users_manager_id: 1, posts_id: null, posts_user_id: null, posts_title: null });
+
+    const right = await db.rightJoin('posts', 'users_id', 'user_id').get('users');
+    assert.deepStrictEqual(pairs(right), [[1, 10], [1, 11], [2, 12], [null, 13], [null, 14]]);
+    assert.deepStrictEqual(right[3], { users_id: null, users_name: null, users_manager_id: null, posts_id: 13, posts_user_id: 9, posts_title: 'Orphan' });
+
+    assert.deepStrictEqual(
+        pairs(await db.fullJoin('posts', 'users_id', 'user_id').get('users')),
+        [[1, 10], [1, 11], [2, 12], [3, null], [null, 13], [null, 14]]
+    );
+}
+
+async function run() {
+    let db = setup();
+    await check(db);
+    console.log('✓ inner, left, right and full joins with null padding, null keys never matching');
+
+    db.createIndex('posts', 'user_id');
+    const before = db.getPerformanceMetrics().indexUsage;
+    await check(db);
+    assert.ok(db.getPerformanceMetrics().indexUsage > before, 'an index on the joined column is probed');
+    console.log('✓ index probes give the same rows as hash joins');
+
+    const chained = await db
+        .innerJoin('posts', 'users_id', 'user_id')
+        .leftJoin('comments', 'posts_id', 'post_id')
+        .where('users_id', 1)
+        .orderBy('posts_title')
+        .select(['posts_title', 'comments_body as comment'])
+        .get('users');
+    assert.deepStrictEqual(chained, [{ posts_title: 'Again', comment: null }, { posts_title: 'Hello', comment: 'Nice' }]);
+    console.log('✓ joins chain across tables, with where, orderBy and select on prefixed columns');
+
+    const managers = await db.leftJoin('users as manager', 'users_manager_id', 'id').select(['users_name', 'manager_name']).get('users');
+    assert.deepStrictEqual(managers, [
+        { users_name: 'Ada', manager_name: null },
+        { users_name: 'Kofi', manager_name: 'Ada' },
+        { users_name: 'Zara', manager_name: 'Ada' }
+    ]);
+    console.log('✓ an alias joins a table to itself');
+
+    const { count } = RockdexDB.aggregates;
+    assert.deepStrictEqual(
+        await db.leftJoin('posts', 'users_id', 'user_id').groupBy('users_name').aggregate({ posts: count('posts_id') }).get('users'),
+        [{ users_name: 'Ada', posts: 2 }, { users_name: 'Kofi', posts: 1 }, { users_name: 'Zara', posts: 0 }]
+    );
+    console.log('✓ aggregates run over joined rows');
+
+    db = setup();
+    assert.deepStrictEqual(db.join('posts', 'users', 'user_id', 'id').map(row => [row.posts_id, row.users_name]),
+        [[10, 'Ada'], [11, 'Ada'], [12, 'Kofi'], [13, null], [14, null]]);
+    await assert.rejects(async () => db.innerJoin('missing', 'users_id', 'id').get('users'), /missing/);
+    assert.strictEqual(db.count('users'), 3, 'joins are reset after each query');
+    console.log('✓ join() shorthand, unknown tables and builder reset');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
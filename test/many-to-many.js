@@ -0,0 +1,79 @@
+/**
+ * belongsToMany relations through pivot tables
+ * Run: node test/many-to-many.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+function setup(relationOptions = {}) {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', [{ id: 1, name: 'Ada' }, { id: 2, name: 'Kofi' }]);
+    db.createTable('roles');
+    db.setTable('roles', [{ id: 1, name: 'admin' }, { id: 2, name: 'editor' }, { id: 3, name: 'viewer' }, { id: 4, name: 'owner' }]);
+    db.createTable('user_roles');
+    db.setRelation('users', 'roles', 'belongsToMany', {
+        through: 'user_roles',
+        foreignKey: 'user_id',
+        otherKey: 'role_id',
+        ...relationOptions
+    });
+    return db;
+}
+
+const links = async (db, userId) => (await db.where('user_id', userId).orderBy('role_id').get('user_roles')).map(row => row.role_id);
+
+async function run() {
+    let db = setup();
+    db.attach('users', 'roles', 1, [2, 3], { granted_by: 'admin' });
+    db.attach('users', 'roles', 1, 2);
+    db.attach('users', 'roles', 2, 3);
+    assert.deepStrictEqual(await links(db, 1), [2, 3], 'attaching an existing link is a no-op');
+    assert.strictEqual(db.where('user_id', 1).where('role_id', 3).getOne('user_roles').granted_by, 'admin');
+    console.log('✓ attach adds pivot rows with extra columns, once per link');
+
+    db.detach('users', 'roles', 1, 3);
+    assert.deepStrictEqual(await links(db, 1), [2]);
+    assert.deepStrictEqual(await links(db, 2), [3], 'other rows keep their links');
+    db.attach('users', 'roles', 1, [1, 4]);
+    db.detach('users', 'roles', 1);
+    assert.deepStrictEqual(await links(db, 1), []);
+    console.log('✓ detach removes the given links, or every link of the row');
+
+    db.attach('users', 'roles', 1, [1, 2], { granted_by: 'setup' });
+    db.sync('users', 'roles', 1, [2, 4], { granted_by: 'sync' });
+    assert.deepStrictEqual(await links(db, 1), [2, 4]);
+    assert.strictEqual(db.where('user_id', 1).where('role_id', 2).getOne('user_roles').granted_by, 'setup', 'kept links keep their pivot data');
+    assert.strictEqual(db.where('user_id', 1).where('role_id', 4).getOne('user_roles').granted_by, 'sync');
+    db.sync('users', 'roles', 1, []);
+    assert.deepStrictEqual(await links(db, 1), []);
+    console.log('✓ sync attaches the missing links and detaches the rest');
+
+    db.attach('users', 'roles', 1, [3, 1]);
+    const [user] = await db.with('roles').where('id', 1).get('users');
+    assert.deepStrictEqual(user.roles.map(role => role.name), ['admin', 'viewer']);
+    assert.deepStrictEqual(user.roles[0].pivot, db.where('user_id', 1).where('role_id', 1).getOne('user_roles'));
+    assert.strictEqual(db.where('id', 1).getOne('roles').pivot, undefined, 'stored related rows are not changed');
+    const constrained = await db.with('roles', q => q.where('name', 'viewer')).orderBy('id').get('users');
+    assert.deepStrictEqual(constrained.map(row => row.roles.map(role => role.id)), [[3], [3]]);
+    console.log('✓ with() loads related rows with their pivot row');
+
+    db = setup({ onDelete: 'cascade' });
+    db.attach('users', 'roles', 1, [1, 2]);
+    db.attach('users', 'roles', 2, [2]);
+    db.where('id', 1).delete('users');
+    assert.deepStrictEqual((await db.get('user_roles')).map(row => row.user_id), [2]);
+    assert.strictEqual(db.count('roles'), 4, 'the related rows themselves are kept');
+    console.log('✓ referential actions apply to the pivot rows');
+
+    assert.throws(() => db.attach('users', 'missing', 1, 2), /missing/);
+    db.setRelation('users', 'user_roles', 'hasMany', 'user_id');
+    assert.throws(() => db.attach('users', 'user_roles', 1, 2), /not a belongsToMany relation/);
+    console.log('✓ unknown and non many-to-many relations are rejected');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
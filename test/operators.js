@@ -0,0 +1,76 @@
+/**
+ * where operators: BETWEEN, NOT IN, IS NULL, LIKE, ILIKE and REGEXP
+ * Run: node test/operators.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const people = [
+    { id: 1, name: 'John Smith', email: 'john@example.com', age: 30, managerId: null },
+    { id: 2, name: 'Big John', email: 'big@example.org', age: 45, managerId: 1 },
+    { id: 3, name: 'johnny', email: 'johnny@test.io', age: 18 },
+    { id: 4, name: 'Jane 50% off', email: 'jane@example.com', age: 65, managerId: 2 },
+    { id: 5, name: 'Jon', email: 'jon@example.net', age: 29, managerId: 1 }
+];
+
+const ids = rows => rows.map(row => row.id).sort((a, b) => a - b);
+
+async function check(db) {
+    assert.deepStrictEqual(ids(await db.whereBetween('age', 29, 45).get('people')), [1, 2, 5]);
+    assert.deepStrictEqual(ids(await db.whereOperator('age', 'between', [30, 30]).get('people')), [1]);
+    assert.deepStrictEqual(ids(await db.whereNotIn('managerId', [1]).get('people')), [1, 3, 4]);
+    assert.deepStrictEqual(ids(await db.whereNull('managerId').get('people')), [1, 3], 'missing counts as null');
+    assert.deepStrictEqual(ids(await db.whereNotNull('managerId').get('people')), [2, 4, 5]);
+
+    assert.deepStrictEqual(ids(await db.whereOperator('name', 'LIKE', 'John%').get('people')), [1]);
+    assert.deepStrictEqual(ids(await db.whereOperator('name', 'LIKE', '%John').get('people')), [2]);
+    assert.deepStrictEqual(ids(await db.whereOperator('name', 'LIKE', 'J_n').get('people')), [5]);
+    assert.deepStrictEqual(ids(await db.whereOperator('name', 'LIKE', '%50%').get('people')), [4]);
+    assert.deepStrictEqual(ids(await db.whereOperator('name', 'NOT LIKE', '%John%').get('people')), [3, 4, 5]);
+    assert.deepStrictEqual(ids(await db.whereOperator('name', 'ILIKE', 'john%').get('people')), [1, 3]);
+    assert.deepStrictEqual(ids(await db.whereOperator('email', 'like', '%.(com|org)').get('people')), [],
+        'regex characters in a LIKE pattern are literal');
+
+    assert.deepStrictEqual(ids(await db.whereOperator('email', 'REGEXP', /@example\.(com|org)$/).get('people')), [1, 2, 4]);
+    assert.deepStrictEqual(ids(await db.whereOperator('email', 'REGEXP', '^j.*\\.io$').get('people')), [3]);
+    assert.deepStrictEqual(ids(await db.whereOperator('email', 'REGEXP', /example/g).get('people')), [1, 2, 4, 5],
+        'a global flag does not skip rows');
+}
+
+async function run() {
+    const db = new RockdexDB();
+    db.createTable('people');
+    db.setTable('people', people.map(person => ({ ...person })));
+    await check(db);
+    console.log('✓ every operator matches without indexes');
+
+    ['name', 'age', 'managerId', 'email'].forEach(field => db.createIndex('people', field));
+    await check(db);
+
+    // Enough other rows that an index beats a scan
+    const large = new RockdexDB();
+    large.createTable('people');
+    large.setTable('people', people.concat(Array.from({ length: 500 }, (_, i) => ({
+        id: 100 + i, name: `Member ${i}`, age: 70 + i % 20, managerId: 3
+    }))));
+    ['name', 'age', 'managerId'].forEach(field => large.createIndex('people', field));
+    assert.deepStrictEqual(large.whereBetween('age', 29, 45).explain('people').indexes, ['age']);
+    assert.deepStrictEqual(large.whereNull('managerId').explain('people').indexes, ['managerId']);
+    assert.deepStrictEqual(large.whereOperator('name', 'LIKE', 'John%').explain('people').indexes, ['name']);
+    assert.strictEqual(large.whereOperator('name', 'LIKE', '%John').explain('people').access, 'scan');
+    assert.deepStrictEqual(ids(await large.whereNull('managerId').get('people')), [1, 3]);
+    console.log('✓ ranges, IS NULL and prefixed LIKE use indexes with the same results');
+
+    assert.strictEqual(RockdexDB.OPERATORS.NOT_IN, 'NOT IN');
+    assert.throws(() => db.whereOperator('age', 'SOUNDS LIKE', 'x'), /Unsupported operator/);
+    assert.throws(() => db.whereOperator('age', 'BETWEEN', [1]), /BETWEEN expects a \[min, max\] pair/);
+    assert.throws(() => db.whereOperator('age', 'NOT IN', 5), /array/);
+    assert.strictEqual(db.count('people'), 5, 'a rejected condition is not kept');
+    console.log('✓ unknown operators and malformed values are rejected');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
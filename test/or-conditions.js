@@ -0,0 +1,80 @@
+/**
+ * OR conditions and nested condition groups
+ * Run: node test/or-conditions.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const users = [
+    { id: 1, status: 'active', role: 'admin', age: 25, country: 'NG', verified: false },
+    { id: 2, status: 'active', role: 'user', age: 45, country: 'GH', verified: true },
+    { id: 3, status: 'banned', role: 'admin', age: 50, country: 'GH', verified: false },
+    { id: 4, status: 'active', role: 'user', age: 30, country: 'KE', verified: true },
+    { id: 5, status: 'banned', role: 'user', age: 19, country: 'NG', verified: true }
+];
+
+const ids = rows => rows.map(row => row.id).sort((a, b) => a - b);
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', users.map(user => ({ ...user })));
+    return db;
+}
+
+async function run() {
+    const db = setup();
+    assert.deepStrictEqual(ids(await db.where('country', 'KE').orWhere('role', 'admin').get('users')), [1, 3, 4]);
+    assert.deepStrictEqual(ids(await db.where('status', 'banned').orWhereOperator('age', '<', 26).get('users')), [1, 3, 5]);
+    console.log('✓ orWhere and orWhereOperator widen the match');
+
+    // status = 'active' AND role = 'user' OR country = 'NG' groups as (active AND user) OR NG
+    assert.deepStrictEqual(
+        ids(await db.where('status', 'active').where('role', 'user').orWhere('country', 'NG').get('users')),
+        [1, 2, 4, 5]
+    );
+    console.log('✓ AND binds tighter than OR');
+
+    assert.deepStrictEqual(
+        ids(await db.where('status', 'active').whereGroup(q => q.where('role', 'admin').orWhereOperator('age', '>', 40)).get('users')),
+        [1, 2]
+    );
+    assert.deepStrictEqual(
+        ids(await db.where('country', 'NG').orWhereGroup(q => q.where('country', 'GH').where('verified', true)).get('users')),
+        [1, 2, 5]
+    );
+    assert.deepStrictEqual(
+        ids(await db.whereGroup(q => q.where('role', 'user').whereGroup(inner => inner.where('country', 'KE').orWhere('age', 19))).get('users')),
+        [4, 5]
+    );
+    console.log('✓ groups nest and combine with AND or OR');
+
+    assert.deepStrictEqual(ids(await db.whereGroup(() => {}).get('users')), [1, 2, 3, 4, 5]);
+    assert.strictEqual(db.where('country', 'GH').orWhere('country', 'KE').count('users'), 3);
+    db.where('role', 'admin').orWhere('age', 19).update('users', { flagged: true });
+    assert.deepStrictEqual(ids(await db.where('flagged', true).get('users')), [1, 3, 5]);
+    console.log('✓ empty groups match everything, and OR applies to count and update');
+
+    const indexed = setup();
+    indexed.createIndex('users', 'country');
+    indexed.createIndex('users', 'role');
+    const plan = indexed.where('country', 'KE').orWhere('role', 'admin').explain('users');
+    assert.strictEqual(plan.access, 'union');
+    assert.deepStrictEqual([...plan.indexes].sort(), ['country', 'role']);
+    assert.deepStrictEqual(ids(await indexed.where('country', 'KE').orWhere('role', 'admin').get('users')), [1, 3, 4]);
+    assert.strictEqual(indexed.where('country', 'KE').orWhere('age', 19).explain('users').access, 'scan',
+        'a branch without an index forces a scan');
+    assert.deepStrictEqual(ids(await indexed.where('country', 'KE').orWhere('age', 19).get('users')), [4, 5]);
+    console.log('✓ indexed OR branches are unioned without duplicates');
+
+    assert.throws(() => db.where('age', '>', 18), /Invalid condition logic '18'/);
+    assert.throws(() => db.whereGroup(() => {}, 'XOR'), /Invalid condition logic 'XOR'/);
+    assert.strictEqual(db.where('age', 19, 'or').count('users'), 1);
+    console.log('✓ condition logic other than AND or OR is rejected');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,82 @@
+/**
+ * Multi-column orderBy, null placement, collation and index-served ordering
+ * Run: node test/order-by.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const people = [
+    { id: 1, last: 'Okafor', first: 'Ada', score: 7 },
+    { id: 2, last: 'Adeyemi', first: 'Tunde', score: null },
+    { id: 3, last: 'Okafor', first: 'Chidi', score: 9 },
+    { id: 4, last: 'Mensah', first: 'Kofi' },
+    { id: 5, last: 'Adeyemi', first: 'Bisi', score: 7 },
+    { id: 6, last: 'Okafor', first: 'Ada', score: 3 }
+];
+
+const ids = rows => rows.map(row => row.id);
+
+function setup(config) {
+    const db = new RockdexDB(config);
+    db.createTable('people');
+    db.setTable('people', people.map(person => ({ ...person })));
+    return db;
+}
+
+// Each query, the columns it sorts by, the ids a full scan returns (ties in stored
+// order) and whether the indexes below can serve its ordering
+const queries = [
+    [db => db.orderBy('last').orderBy('first', 'DESC'), ['last', 'first'], [2, 5, 4, 3, 1, 6], false],
+    [db => db.orderBy('last').orderBy('first'), ['last', 'first'], [5, 2, 4, 1, 6, 3], true],
+    [db => db.orderBy('last', 'DESC'), ['last'], [1, 3, 6, 4, 2, 5], true],
+    [db => db.orderBy('score'), ['score'], [2, 4, 6, 1, 5, 3], true],
+    [db => db.orderBy('score', 'DESC'), ['score'], [3, 1, 5, 6, 2, 4], true],
+    [db => db.orderBy('score', 'ASC NULLS LAST'), ['score'], [6, 1, 5, 3, 2, 4], false],
+    [db => db.orderBy('score', 'desc', { nulls: 'first' }), ['score'], [2, 4, 3, 1, 5, 6], false],
+    [db => db.orderBy('score').orderBy('last').limit(3, 2), ['score', 'last'], [6, 5, 1], false],
+    [db => db.where('last', 'Okafor').orderBy('first', 'DESC'), ['first'], [3, 1, 6], false]
+];
+
+const sortKeys = (rows, columns) => rows.map(row => columns.map(column => row[column] === undefined ? null : row[column]));
+
+async function run() {
+    let db = setup();
+    for (const [query, , expected] of queries) {
+        assert.deepStrictEqual(ids(await query(db).get('people')), expected);
+    }
+    console.log('✓ several columns, stable ties and null placement');
+
+    const indexed = setup();
+    indexed.createIndex('people', 'score');
+    indexed.createIndex('people', ['last', 'first']);
+    for (const [query, columns, expected, served] of queries) {
+        const before = indexed.getPerformanceMetrics().indexUsage;
+        const rows = await query(indexed).get('people');
+        assert.strictEqual(indexed.getPerformanceMetrics().indexUsage > before, served);
+        assert.deepStrictEqual(sortKeys(rows, columns), sortKeys(expected.map(id => people[id - 1]), columns));
+        assert.deepStrictEqual(ids(rows).sort(), [...expected].sort());
+    }
+    console.log('✓ index-served ordering sorts the same rows the same way');
+
+    db = setup();
+    db.insert('people', { id: 7, last: 'Ölund', first: 'Åsa' });
+    db.insert('people', { id: 8, last: 'zeta', first: 'Z' });
+    assert.deepStrictEqual(ids(await db.orderBy('last').get('people')).slice(-2), [8, 7], 'plain comparison is by code unit');
+    assert.deepStrictEqual(ids(await db.orderBy('last', 'ASC', { collation: 'en' }).get('people')).slice(-2), [7, 8]);
+    assert.deepStrictEqual(ids(await db.orderBy('last', 'ASC', { collation: { locale: 'sv' } }).get('people')).slice(-2), [8, 7],
+        'Swedish sorts Ö after z');
+    const collated = setup({ collation: 'en' });
+    collated.insert('people', { id: 8, last: 'adams', first: 'A' });
+    assert.deepStrictEqual(ids(await collated.orderBy('last').get('people'))[0], 8, 'lower case sorts with upper case');
+    console.log('✓ collations apply per query or per database');
+
+    assert.throws(() => db.orderBy('last', 'SIDEWAYS'), /Invalid sort direction/);
+    assert.throws(() => db.orderBy('last', 'ASC', { nulls: 'middle' }), /Invalid null ordering/);
+    console.log('✓ unknown directions and null placements are rejected');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
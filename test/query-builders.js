@@ -0,0 +1,83 @@
+/**
+ * Isolated, immutable queries from table() / query()
+ * Run: node test/query-builders.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const collect = async iterator => {
+    const rows = [];
+    for await (const row of iterator) rows.push(row);
+    return rows;
+};
+
+const ids = rows => rows.map(row => row.id);
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', [
+        { id: 1, name: 'Ada', role: 'admin', active: true, age: 36 },
+        { id: 2, name: 'Kofi', role: 'user', active: true, age: 28 },
+        { id: 3, name: 'Zara', role: 'admin', active: false, age: 41 },
+        { id: 4, name: 'Lena', role: 'user', active: true, age: 52 }
+    ]);
+    return db;
+}
+
+async function run() {
+    const db = setup();
+    const active = db.table('users').where('active', true);
+    const admins = active.where('role', 'admin');
+    const oldest = active.orderBy('age', 'DESC').limit(2);
+
+    assert.ok(active instanceof RockdexDB.Query);
+    assert.strictEqual(active.tableName, 'users');
+    assert.deepStrictEqual(ids(await admins.get()), [1]);
+    assert.deepStrictEqual(ids(await oldest.get()), [4, 1]);
+    assert.deepStrictEqual(ids(await active.get()), [1, 2, 4], 'branches leave the base query unchanged');
+    assert.deepStrictEqual(ids(await active.get()), [1, 2, 4], 'a query can be run again');
+    console.log('✓ builder methods return new queries that can be branched and reused');
+
+    assert.strictEqual(active.count(), 3);
+    assert.strictEqual(admins.getOne().name, 'Ada');
+    assert.strictEqual(active.sum('age'), 116);
+    assert.deepStrictEqual(active.distinct('role'), ['admin', 'user']);
+    assert.strictEqual(active.paginate(2, 2).data[0].id, 4);
+    assert.deepStrictEqual(JSON.parse(admins.select('id').toJSON()), [{ id: 1 }]);
+    assert.deepStrictEqual(ids(await collect(oldest.stream())), [4, 1]);
+    assert.strictEqual(db.query('users').where('age', 28).explain().actualRows, 1);
+    console.log('✓ terminal methods run the query against its table');
+
+    active.where('role', 'user').update({ age: 29 });
+    assert.strictEqual(db.where('id', 2).getOne('users').age, 29);
+    db.table('users').where('active', false).delete();
+    assert.deepStrictEqual(ids(await db.get('users')), [1, 2, 4]);
+    console.log('✓ update and delete apply to the matching rows');
+
+    db.where('role', 'admin');
+    assert.strictEqual(db.table('users').count(), 3, 'isolated queries ignore the instance chain');
+    assert.strictEqual(db.count('users'), 1, 'and leave it in place');
+    const concurrent = await Promise.all([active.where('id', 1).get(), active.where('id', 2).get(), active.get()]);
+    assert.deepStrictEqual(concurrent.map(ids), [[1], [2], [1, 2, 4]]);
+    console.log('✓ concurrent queries do not interfere');
+
+    db.where('role', 'admin');
+    assert.throws(() => db.whereOperator('age', 'NEARLY', 30));
+    assert.strictEqual(db.count('users'), 3, 'a failed call clears the instance chain');
+    assert.throws(() => db.where('role', 'admin').whereGroup(q => q.where('age', 36).orderBy('age', 'UP')));
+    assert.strictEqual(db.count('users'), 3, 'a failed group clears the chain around it');
+    await assert.rejects(db.where('role', 'admin').get('missing'), /missing/);
+    assert.strictEqual(db.count('users'), 3);
+    console.log('✓ the instance chain is cleared when a builder call or a query throws');
+
+    assert.throws(() => db.table('missing').count(), /missing/);
+    assert.throws(() => db.table('users').whereOperator('age', 'NEARLY', 30));
+    console.log('✓ errors surface from the query that caused them');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
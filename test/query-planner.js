@@ -0,0 +1,76 @@
+/**
+ * Cost-based index selection and explain()
+ * Run: node test/query-planner.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const rows = Array.from({ length: 1000 }, (_, i) => ({
+    id: i + 1,
+    email: `user${i}@example.com`,
+    active: i % 100 !== 0,
+    city: `city${i % 10}`,
+    team: `team${Math.floor(i / 10) % 10}`,
+    age: 20 + i % 50
+}));
+
+const ids = found => found.map(row => row.id).sort((a, b) => a - b);
+const expected = predicate => ids(rows.filter(predicate));
+
+async function run() {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', rows.map(row => ({ ...row })));
+
+    let plan = db.where('email', 'user5@example.com').explain('users');
+    assert.strictEqual(plan.table, 'users');
+    assert.strictEqual(plan.access, 'scan', 'nothing to use without an index');
+    assert.strictEqual(plan.estimatedRows, 1000);
+    assert.strictEqual(plan.actualRows, 1);
+    console.log('✓ a table without indexes is scanned');
+
+    ['email', 'active', 'city', 'team', 'age'].forEach(field => db.createIndex('users', field));
+
+    plan = db.where('active', true).where('email', 'user5@example.com').explain('users');
+    assert.strictEqual(plan.access, 'index');
+    assert.deepStrictEqual(plan.indexes, ['email']);
+    assert.strictEqual(plan.estimatedRows, 1);
+    assert.strictEqual(plan.actualRows, 1);
+    const considered = Object.fromEntries(plan.considered.map(candidate => [candidate.index, candidate]));
+    assert.strictEqual(considered.email.estimatedRows, 1);
+    assert.strictEqual(considered.city.usable, false);
+    assert.ok(considered.active.estimatedRows > 900);
+    console.log('✓ the most selective index wins whatever the condition order');
+
+    plan = db.where('active', true).explain('users');
+    assert.strictEqual(plan.access, 'scan', 'an index matching almost every row costs more than a scan');
+    assert.strictEqual(plan.actualRows, 990);
+    console.log('✓ an unselective index falls back to a scan');
+
+    plan = db.where('city', 'city3').where('team', 'team4').whereOperator('age', '>=', 20).explain('users');
+    assert.strictEqual(plan.access, 'intersection');
+    assert.deepStrictEqual([...plan.indexes].sort(), ['city', 'team']);
+    assert.strictEqual(plan.actualRows, 10);
+    assert.deepStrictEqual(
+        ids(await db.where('city', 'city3').where('team', 'team4').whereOperator('age', '>=', 20).get('users')),
+        expected(row => row.city === 'city3' && row.team === 'team4')
+    );
+    console.log('✓ two selective indexes are intersected');
+
+    plan = db.whereOperator('age', '>', 67).explain('users');
+    assert.deepStrictEqual(plan.indexes, ['age']);
+    assert.strictEqual(plan.estimatedRows, plan.actualRows);
+    assert.deepStrictEqual(ids(await db.whereOperator('age', '>', 67).get('users')), expected(row => row.age > 67));
+    console.log('✓ range conditions are estimated from the index');
+
+    db.where('email', 'user5@example.com').explain('users');
+    assert.strictEqual(db.count('users'), 1000, 'explain() resets the builder like a query');
+    assert.throws(() => db.explain('missing'), /missing/);
+    console.log('✓ explain() consumes the query and checks the table');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
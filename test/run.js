@@ -0,0 +1,21 @@
+/**
+ * Run every test script in this directory, one process at a time
+ * Run: node test/run.js
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const scripts = fs.readdirSync(__dirname)
+    .filter(name => name.endsWith('.js') && name !== path.basename(__filename))
+    .sort();
+
+for (const script of scripts) {
+    console.log(`\n${script}`);
+    try {
+        execFileSync(process.execPath, [path.join(__dirname, script)], { stdio: 'inherit' });
+    } catch (error) {
+        process.exit(1);
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * Schema types and rules: integer, date, enum, nullable, arrays, nested objects
+ * Run: node test/schema-types.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const schema = {
+    title: { type: 'string', required: true, minLength: 3, maxLength: 10 },
+    seats: { type: 'integer', min: 0, max: 100 },
+    balance: { type: 'number', min: -5, max: 0 },
+    startsAt: { type: 'date', min: '2024-01-01' },
+    status: { enum: ['draft', 'published'], nullable: true },
+    tags: { type: 'array', maxLength: 3, items: { type: 'string', minLength: 2 } },
+    venue: {
+        type: 'object',
+        properties: {
+            city: { type: 'string', required: true },
+            zip: { type: 'string', pattern: /^\d{5}$/ }
+        }
+    },
+    endsAt: {
+        type: 'date',
+        validate: (value, record) => !record.startsAt || new Date(value) > new Date(record.startsAt) || 'endsAt must be after startsAt'
+    }
+};
+
+const valid = { title: 'Launch', seats: 0, balance: 0, startsAt: '2024-03-01T10:00:00Z', status: 'draft' };
+const rules = violations => violations.map(({ field, rule }) => `${field}:${rule}`);
+
+function run() {
+    const db = new RockdexDB();
+    db.createTable('events', schema);
+    const check = record => rules(db.validate('events', { ...valid, ...record }));
+
+    assert.deepStrictEqual(check({}), []);
+    assert.deepStrictEqual(check({ seats: -1 }), ['seats:min']);
+    assert.deepStrictEqual(check({ balance: -6 }), ['balance:min']);
+    assert.deepStrictEqual(check({ balance: 1 }), ['balance:max'], 'max: 0 is enforced');
+    assert.deepStrictEqual(check({ seats: 100, balance: -5 }), [], 'bounds are inclusive');
+    console.log('✓ min and max apply when the bound is 0');
+
+    assert.deepStrictEqual(check({ seats: 1.5 }), ['seats:type']);
+    assert.deepStrictEqual(check({ seats: '3' }), ['seats:type'], 'a wrong type skips the rules that depend on it');
+    assert.deepStrictEqual(check({ startsAt: new Date('2024-06-01') }), []);
+    assert.deepStrictEqual(check({ startsAt: '2023-12-31' }), ['startsAt:min'], 'dates compare by time');
+    assert.deepStrictEqual(check({ startsAt: 'next tuesday' }), ['startsAt:type']);
+    assert.deepStrictEqual(check({ tags: 'a,b' }), ['tags:type']);
+    assert.deepStrictEqual(check({ venue: ['Lagos'] }), ['venue:type'], 'arrays are not objects');
+    console.log('✓ integer, date, array and object types');
+
+    assert.deepStrictEqual(check({ status: 'archived' }), ['status:enum']);
+    assert.deepStrictEqual(check({ status: null }), [], 'nullable allows null');
+    assert.deepStrictEqual(check({ seats: null }), ['seats:nullable'], 'null is rejected unless nullable');
+    assert.deepStrictEqual(check({ title: null }), ['title:required']);
+    assert.deepStrictEqual(rules(db.validate('events', { title: 'Minimal' })), [], 'missing optional fields are only checked against required');
+    console.log('✓ enum, nullable and required');
+
+    assert.deepStrictEqual(check({ title: 'Go' }), ['title:minLength']);
+    assert.deepStrictEqual(check({ title: 'Much too long' }), ['title:maxLength']);
+    assert.deepStrictEqual(check({ tags: ['ok', 1, 'x'] }), ['tags[1]:type', 'tags[2]:minLength']);
+    assert.deepStrictEqual(check({ tags: ['aa', 'bb', 'cc', 'dd'] }), ['tags:maxLength']);
+    assert.deepStrictEqual(check({ venue: { zip: '123' } }), ['venue.city:required', 'venue.zip:pattern']);
+    assert.deepStrictEqual(check({ venue: { city: 'Lagos', zip: '10001' } }), []);
+    console.log('✓ string and array lengths, array items and nested object properties');
+
+    assert.deepStrictEqual(check({ endsAt: '2024-03-01T12:00:00Z' }), []);
+    const [custom] = db.validate('events', { ...valid, endsAt: '2024-02-01' });
+    assert.deepStrictEqual([custom.field, custom.rule, custom.message], ['endsAt', 'validate', 'endsAt must be after startsAt']);
+    db.updateSchema('events', { ...schema, seats: { type: 'integer', validate: value => value !== 13 } });
+    assert.deepStrictEqual(check({ seats: 13 }), ['seats:validate']);
+    console.log('✓ validate functions see the whole record and can return a message');
+
+    db.insert('events', { ...valid, seats: 0 });
+    assert.throws(() => db.insert('events', { ...valid, tags: [1] }), error =>
+        error instanceof RockdexDB.SchemaValidationError && error.field === 'tags[0]' && error.rule === 'type');
+    assert.throws(() => db.where('title', 'Launch').update('events', { venue: {} }), error => error.field === 'venue.city');
+    assert.strictEqual(db.count('events'), 1);
+    console.log('✓ insert and update enforce the rules');
+}
+
+try {
+    run();
+} catch (error) {
+    console.error(error);
+    process.exit(1);
+}
@@ -0,0 +1,67 @@
+/**
+ * select() column projection
+ * Run: node test/select.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const collect = async iterator => {
+    const rows = [];
+    for await (const row of iterator) rows.push(row);
+    return rows;
+};
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users');
+    db.setTable('users', [
+        { id: 1, first: 'Ada', last: 'Obi', email: 'ada@example.com', address: { city: 'Lagos' }, active: true },
+        { id: 2, first: 'Kofi', last: 'Boateng', email: 'kofi@example.com', active: true },
+        { id: 3, first: 'Zara', last: 'Ali', email: 'zara@example.com', address: { city: 'Kano' }, active: false }
+    ]);
+    return db;
+}
+
+async function run() {
+    const db = setup();
+    const rows = await db
+        .select(['id', 'email as contact', 'address.city AS city', { fullName: row => `${row.first} ${row.last}` }])
+        .where('active', true)
+        .get('users');
+    assert.deepStrictEqual(rows, [
+        { id: 1, contact: 'ada@example.com', city: 'Lagos', fullName: 'Ada Obi' },
+        { id: 2, contact: 'kofi@example.com', city: undefined, fullName: 'Kofi Boateng' }
+    ]);
+    console.log('✓ fields, aliases, dot paths and computed columns');
+
+    assert.deepStrictEqual(await db.select('id', { mail: 'email' }).where('id', 3).get('users'), [{ id: 3, mail: 'zara@example.com' }]);
+    assert.deepStrictEqual(Object.keys((await db.select('*', 'first as name').where('id', 1).get('users'))[0]),
+        ['id', 'first', 'last', 'email', 'address', 'active', 'name']);
+    db.select('id').select('first').where('id', 2);
+    assert.deepStrictEqual(db.getOne('users'), { id: 2, first: 'Kofi' });
+    console.log('✓ variadic columns, object aliases, \'*\' and chained select calls');
+
+    assert.deepStrictEqual(await db.select('id').orderBy('last').get('users'), [{ id: 3 }, { id: 2 }, { id: 1 }],
+        'ordering uses columns that are not selected');
+    assert.deepStrictEqual(db.select('first').paginate('users', 2, 2).data, [{ first: 'Zara' }]);
+    assert.deepStrictEqual(JSON.parse(db.select('id').where('id', 1).toJSON('users')), [{ id: 1 }]);
+    assert.deepStrictEqual(await collect(db.select('email as e').limit(1).stream('users')), [{ e: 'ada@example.com' }]);
+    console.log('✓ getOne, paginate, toJSON and stream return the selected columns');
+
+    const projected = await db.select('id', 'address').where('id', 1).get('users');
+    projected[0].id = 99;
+    assert.strictEqual(db.where('id', 1).getOne('users').id, 1, 'projected rows are new objects');
+    assert.strictEqual((await db.get('users')).length, 3);
+    assert.ok('email' in db.where('id', 1).getOne('users'), 'the selection is reset after a query');
+    console.log('✓ projection never changes stored rows and is reset after each query');
+
+    assert.throws(() => db.select({ bad: 42 }), /must be a field path or a function/);
+    assert.throws(() => db.select(7), /Select columns must be strings/);
+    console.log('✓ malformed columns are rejected');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
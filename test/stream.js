@@ -0,0 +1,61 @@
+/**
+ * stream() and cursor()
+ * Run: node test/stream.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const collect = async iterator => {
+    const rows = [];
+    for await (const row of iterator) rows.push(row);
+    return rows;
+};
+
+async function run() {
+    const db = new RockdexDB({ chunkSize: 100 });
+    db.createTable('events');
+    db.setTable('events', Array.from({ length: 1000 }, (_, i) => ({ id: i + 1, kind: i % 2 ? 'odd' : 'even', n: i })));
+
+    const all = await collect(db.cursor('events'));
+    assert.strictEqual(all.length, 1000);
+    assert.deepStrictEqual(all.slice(0, 3).map(row => row.id), [1, 2, 3]);
+    console.log('✓ cursor() yields every row in stored order');
+
+    const odd = await collect(db.where('kind', 'odd').limit(5, 2).stream('events'));
+    assert.deepStrictEqual(odd.map(row => row.id), [6, 8, 10, 12, 14]);
+    const sorted = await collect(db.whereOperator('n', '<', 10).orderBy('n', 'DESC').limit(3).stream('events'));
+    assert.deepStrictEqual(sorted.map(row => row.n), [9, 8, 7]);
+    console.log('✓ stream() honours where, orderBy and limit/offset');
+
+    const stream = db.where('kind', 'even').stream('events');
+    assert.strictEqual(db.count('events'), 1000, 'the builder is reset once the stream is created');
+    assert.strictEqual((await collect(stream)).length, 500);
+    console.log('✓ a stream keeps the conditions it was created with');
+
+    let otherWork = false;
+    setImmediate(() => { otherWork = true; });
+    const seen = [];
+    for await (const row of db.cursor('events')) {
+        seen.push([row.id, otherWork]);
+    }
+    assert.deepStrictEqual(seen[0], [1, false]);
+    assert.deepStrictEqual(seen[999], [1000, true], 'the event loop runs between chunks');
+    console.log('✓ scans yield to the event loop between chunks');
+
+    const early = db.cursor('events');
+    await early.next();
+    db.insert('events', { id: 1001, kind: 'odd', n: 1000 });
+    db.where('id', 2).delete('events');
+    const rest = await collect(early);
+    assert.ok(rest.length >= 998, 'an open cursor keeps reading after writes');
+    console.log('✓ writes while a cursor is open do not break it');
+
+    assert.throws(() => db.stream('missing'), /missing/);
+    console.log('✓ streaming an unknown table fails');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,127 @@
+/**
+ * Transaction rollback, savepoints and concurrent writers
+ * Run: node test/transactions.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users', { email: { type: 'string', unique: true } });
+    db.createTable('logs');
+    db.insert('users', { id: 1, email: 'ada@example.com' });
+    db.insert('users', { id: 2, email: 'grace@example.com' });
+    return db;
+}
+
+// Rows as stored, and what the email index answers for each email
+async function snapshot(db) {
+    const rows = (await db.orderBy('id').get('users')).map(({ id, email }) => ({ id, email }));
+    const indexed = {};
+    for (const email of ['ada@example.com', 'grace@example.com', 'linus@example.com', 'ada@new.example.com']) {
+        indexed[email] = (await db.where('email', email).get('users')).map(row => row.id);
+    }
+    return { rows, indexed };
+}
+
+// Changes the table in every way an undo log has to reverse
+function mutate(tx) {
+    tx.insert('users', { id: 3, email: 'linus@example.com' });
+    tx.where('id', 1).update('users', { email: 'ada@new.example.com' });
+    tx.where('id', 2).delete('users');
+}
+
+async function run() {
+    let db = setup();
+    let before = await snapshot(db);
+    assert.throws(() => db.transaction(tx => {
+        mutate(tx);
+        throw new Error('abort');
+    }), /abort/);
+    assert.deepStrictEqual(await snapshot(db), before);
+    db.insert('users', { id: 4, email: 'linus@example.com' });
+    console.log('✓ a sync rollback restores rows and indexes');
+
+    db = setup();
+    db.transaction(tx => {
+        tx.insert('users', { id: 3, email: 'linus@example.com' });
+        assert.throws(() => tx.transaction(inner => {
+            inner.where('id', 1).delete('users');
+            throw new Error('inner');
+        }), /inner/);
+    });
+    assert.deepStrictEqual((await snapshot(db)).rows.map(row => row.id), [1, 2, 3]);
+    console.log('✓ a failed nested transaction undoes only its own changes');
+
+    db = setup();
+    before = await snapshot(db);
+    await assert.rejects(db.transaction(async tx => {
+        await sleep(5);
+        mutate(tx);
+        await sleep(5);
+        throw new Error('abort');
+    }), /abort/);
+    assert.deepStrictEqual(await snapshot(db), before);
+    console.log('✓ an async rollback after an await restores rows and indexes');
+
+    db = setup();
+    await db.transaction(async tx => {
+        tx.insert('users', { id: 5, email: 'kept@example.com' });
+        const savepoint = tx.savepoint('before');
+        await sleep(5);
+        mutate(tx);
+        tx.rollbackTo(savepoint);
+    });
+    const after = await snapshot(db);
+    assert.deepStrictEqual(after.rows.map(row => row.id), [1, 2, 5]);
+    assert.deepStrictEqual(after.indexed, before.indexed);
+    console.log('✓ rollbackTo() a savepoint undoes only the later changes, indexes included');
+
+    db = setup();
+    const failing = db.transaction(async tx => {
+        tx.insert('users', { id: 6, email: 'inside@example.com' });
+        await sleep(10);
+        throw new Error('abort');
+    });
+    db.insert('logs', { message: 'written while the transaction awaits' });
+    await sleep(5);
+    db.insert('users', { id: 7, email: 'outside@example.com' });
+    await assert.rejects(failing, /abort/);
+    assert.strictEqual(db.count('logs'), 1);
+    assert.deepStrictEqual((await db.orderBy('id').get('users')).map(row => row.id), [1, 2, 7]);
+    console.log('✓ writes made outside an open async transaction survive its rollback');
+
+    const order = [];
+    const first = db.transaction(async () => {
+        order.push('first:start');
+        await sleep(5);
+        order.push('first:end');
+    });
+    const second = db.transaction(async () => order.push('second'));
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(order, ['first:start', 'first:end', 'second']);
+    console.log('✓ concurrent transactions run one after another');
+
+    const nested = db.transaction(async () => {
+        await sleep(1);
+        await db.transaction(async () => db.insert('logs', { message: 'nested' }));
+    });
+    assert.strictEqual(await Promise.race([nested, sleep(1000).then(() => 'deadlock')]), db);
+    assert.strictEqual(db.count('logs'), 2);
+    console.log('✓ db.transaction() from inside a callback nests instead of waiting for itself');
+
+    const open = db.transaction(() => sleep(5));
+    assert.throws(() => db.transaction(tx => tx.insert('logs', { message: 'sync' })), { code: 'INVALID_STATE' });
+    await open;
+    assert.strictEqual(db.transaction(tx => tx.insert('logs', { message: 'sync' })), db);
+    assert.strictEqual(db.count('logs'), 3);
+    console.log('✓ a sync transaction throws INVALID_STATE while an async one is open, and otherwise returns the database');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
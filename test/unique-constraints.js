@@ -0,0 +1,62 @@
+/**
+ * Unique indexes and unique: true schema fields
+ * Run: node test/unique-constraints.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const isDuplicate = fields => error =>
+    error instanceof RockdexDB.ConstraintViolationError &&
+    error.code === 'CONSTRAINT_VIOLATION' &&
+    error.constraint === 'unique' &&
+    JSON.stringify(error.fields) === JSON.stringify(fields);
+
+function run() {
+    let db = new RockdexDB();
+    db.createTable('users', { email: { type: 'string', unique: true } });
+    db.insert('users', { id: 1, email: 'ada@example.com' });
+    assert.throws(() => db.insert('users', { id: 2, email: 'ada@example.com' }), isDuplicate(['email']));
+    assert.strictEqual(db.count('users'), 1);
+    console.log('✓ insert rejects a duplicate of a unique schema field');
+
+    db.insert('users', { id: 2 });
+    db.insert('users', { id: 3 });
+    assert.strictEqual(db.count('users'), 3);
+    console.log('✓ rows missing the value are not duplicates');
+
+    db.insert('users', { id: 4, email: 'grace@example.com' });
+    assert.throws(() => db.where('id', 4).update('users', { email: 'ada@example.com' }), isDuplicate(['email']));
+    assert.strictEqual(db.where('id', 4).getOne('users').email, 'grace@example.com');
+    db.where('id', 4).update('users', { email: 'grace@example.com', name: 'Grace' });
+    assert.strictEqual(db.where('id', 4).getOne('users').name, 'Grace', 'a row keeps its own key');
+    db.where('id', 2).update('users', { email: 'shared@example.com' });
+    assert.throws(() => db.where('id', 3).update('users', { email: 'shared@example.com' }), isDuplicate(['email']));
+    console.log('✓ update rejects taking another row\'s key but may keep its own');
+
+    assert.throws(() => db.update('users', { email: 'same@example.com' }), isDuplicate(['email']));
+    assert.strictEqual(db.where('email', 'same@example.com').count('users'), 0, 'a rejected update changes no row');
+    console.log('✓ an update giving several rows the same key is rejected as a whole');
+
+    db = new RockdexDB();
+    db.createTable('orders');
+    db.setTable('orders', [{ id: 1, ref: 'A' }, { id: 2, ref: 'A' }, { id: 3 }, { id: 4 }]);
+    assert.throws(() => db.createIndex('orders', 'ref', { unique: true }), isDuplicate(['ref']));
+    db.where('id', 2).update('orders', { ref: 'B' });
+    db.createIndex('orders', 'ref', { unique: true });
+    assert.throws(() => db.insert('orders', { id: 5, ref: 'B' }), isDuplicate(['ref']));
+    console.log('✓ creating a unique index checks the stored rows');
+
+    db.createIndex('orders', ['tenant', 'number'], { unique: true });
+    db.insert('orders', { id: 6, tenant: 1, number: 1 });
+    db.insert('orders', { id: 7, tenant: 2, number: 1 });
+    assert.throws(() => db.insert('orders', { id: 8, tenant: 1, number: 1 }), isDuplicate(['tenant', 'number']));
+    console.log('✓ composite unique indexes compare the whole key');
+}
+
+try {
+    run();
+} catch (error) {
+    console.error(error);
+    process.exit(1);
+}
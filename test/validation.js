@@ -0,0 +1,83 @@
+/**
+ * Collect-all schema validation reports
+ * Run: node test/validation.js
+ */
+
+const assert = require('assert');
+const RockdexDB = require('../rockdex-db');
+
+const schema = {
+    name: { type: 'string', required: true },
+    email: { type: 'string', required: true, pattern: /@/ },
+    age: { type: 'number', min: 18, max: 120 }
+};
+
+const rules = violations => violations.map(({ field, rule }) => `${field}:${rule}`);
+
+function setup() {
+    const db = new RockdexDB();
+    db.createTable('users', schema);
+    db.insert('users', { id: 'u1', name: 'Ada', email: 'ada@example.com', age: 36 });
+    return db;
+}
+
+async function run() {
+    const db = setup();
+    const violations = db.validate('users', { email: 'nope', age: 150 });
+    assert.deepStrictEqual(rules(violations), ['name:required', 'email:pattern', 'age:max']);
+    assert.deepStrictEqual(violations[2], {
+        field: 'age', rule: 'max', expected: 120, actual: 150, message: violations[2].message
+    });
+    assert.ok(/age/.test(violations[2].message));
+    assert.deepStrictEqual(db.validate('users', { name: 'Kofi', email: 'kofi@example.com' }), []);
+    assert.strictEqual(db.count('users'), 1, 'validate() writes nothing');
+    console.log('✓ validate() reports every broken rule of a record');
+
+    assert.throws(() => db.insert('users', { name: 5, email: 'nope' }), error =>
+        error instanceof RockdexDB.SchemaValidationError &&
+        error.field === 'name' && error.rule === 'type' &&
+        JSON.stringify(rules(error.violations)) === JSON.stringify(['name:type', 'email:pattern']));
+    assert.throws(() => db.where('id', 'u1').update('users', { age: 10, email: 'x' }), error =>
+        JSON.stringify(rules(error.violations).sort()) === JSON.stringify(['age:min', 'email:pattern']));
+    console.log('✓ insert and update errors list all violations, the first one on the error itself');
+
+    db.setTable('users', [
+        { id: 'u1', name: 'Ada', email: 'ada@example.com' },
+        { id: 'u2', name: 'Kofi', email: 'kofi@example.com', role: 'admin' }
+    ]);
+    let report = db.validateTable('users');
+    assert.deepStrictEqual(report, { valid: true, total: 2, invalid: 0, rows: [] });
+    report = db.validateTable('users', { ...schema, role: { type: 'string', required: true } });
+    assert.deepStrictEqual([report.valid, report.total, report.invalid], [false, 2, 1]);
+    assert.deepStrictEqual(report.rows.map(row => [row.index, row.id, rules(row.violations)]), [[0, 'u1', ['role:required']]]);
+    console.log('✓ validateTable() reports stored rows against the current or a planned schema');
+
+    assert.throws(() => db.updateSchema('users', { ...schema, role: { type: 'string', required: true } }), error =>
+        error instanceof RockdexDB.SchemaValidationError && error.rows.length === 1 && error.rows[0].id === 'u1');
+    assert.throws(() => db.setTable('users', [{ name: 'A' }, { name: 'Bea', email: 'bea@example.com' }, {}], schema), error =>
+        JSON.stringify(error.rows.map(row => row.index)) === JSON.stringify([0, 2]));
+    assert.strictEqual(db.count('users'), 2, 'a rejected setTable keeps the old rows');
+    console.log('✓ setTable and updateSchema failures carry the per-row report');
+
+    const rows = [
+        { name: 'Bea', email: 'bea@example.com' },
+        { name: 'Cy', email: 'cy@example.com', age: 10 },
+        { name: 'Dan', email: 'dan@example.com', age: 200 },
+        { name: 'Eve', email: 'eve@example.com' }
+    ];
+    await assert.rejects(db.bulkInsert('users', rows), RockdexDB.SchemaValidationError);
+    assert.strictEqual(db.count('users'), 2, 'nothing is written when a row is invalid');
+    assert.strictEqual(await db.bulkInsert('users', rows, { invalid: 'skip' }), db);
+    assert.strictEqual(db.count('users'), 4);
+    const bulk = await setup().bulkInsert('users', rows, { invalid: 'collect' });
+    assert.strictEqual(bulk.inserted, 2);
+    assert.deepStrictEqual(bulk.rejected.map(({ index, record, violations }) => [index, record.name, rules(violations)]),
+        [[1, 'Cy', ['age:min']], [2, 'Dan', ['age:max']]]);
+    await assert.rejects(db.bulkInsert('users', rows, { invalid: 'ignore' }), /invalid/);
+    console.log('✓ bulkInsert throws, skips or collects invalid rows');
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+/**
+ * Write-ahead log crash recovery in file mode
+ * Run: node test/wal-recovery.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const RockdexDB = require('../rockdex-db');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'rockdex-wal-'));
+const walFile = path.join(storagePath, 'users.wal');
+const rdbFile = path.join(storagePath, 'users.rdb');
+
+const open = () => new RockdexDB({
+    storageMode: 'file',
+    storagePath,
+    storageTable: ['users.rdb']
+}).ready();
+
+async function run() {
+    // A separate process writes and exits before the delayed snapshot runs
+    execFileSync(process.execPath, ['-e', `
+        const RockdexDB = require(${JSON.stringify(require.resolve('../rockdex-db'))});
+        new RockdexDB({ storageMode: 'file', storagePath: ${JSON.stringify(storagePath)}, storageTable: ['users.rdb'] })
+            .ready()
+            .then(db => {
+                db.insert('users', { id: 1, name: 'Ada' });
+                db.insert('users', { id: 2, name: 'Grace' });
+                db.insert('users', { id: 3, name: 'Linus' });
+                db.where('id', 2).update('users', { name: 'Grace Hopper' });
+                db.where('id', 3).delete('users');
+                process.exit(0);
+            });
+    `]);
+
+    assert.ok(!fs.existsSync(rdbFile) || !fs.readFileSync(rdbFile, 'utf8').includes('Ada'), 'no snapshot was written');
+    assert.strictEqual(fs.readFileSync(walFile, 'utf8').trim().split('\n').length, 5, 'all writes are in the log');
+    console.log('✓ writes survive in the log after exiting without a snapshot');
+
+    const db = await open();
+    const users = await db.orderBy('id').get('users');
+    assert.deepStrictEqual(users.map(user => [user.id, user.name]), [[1, 'Ada'], [2, 'Grace Hopper']]);
+    console.log('✓ ready() replays inserts, updates and deletes');
+
+    // Replaying checkpoints: the snapshot covers the log, which is emptied
+    assert.strictEqual(fs.readFileSync(walFile, 'utf8'), '');
+    assert.strictEqual(JSON.parse(fs.readFileSync(rdbFile, 'utf8')).users.rows.length, 2);
+    console.log('✓ replay checkpoints into the .rdb snapshot');
+
+    db.insert('users', { id: 4, name: 'Barbara' });
+    assert.notStrictEqual(fs.readFileSync(walFile, 'utf8'), '', 'write is logged before returning');
+    db.flush();
+    assert.strictEqual(fs.readFileSync(walFile, 'utf8'), '');
+    const snapshot = JSON.parse(fs.readFileSync(rdbFile, 'utf8')).users;
+    assert.strictEqual(snapshot.rows.length, 3);
+    console.log('✓ flush() checkpoints the table and truncates the log');
+
+    // Entries already covered by the snapshot are not applied twice
+    fs.appendFileSync(walFile, JSON.stringify({ seq: snapshot.metadata.walSequence, operation: 'INSERT', record: { id: 4, name: 'Barbara' } }) + '\n');
+    const reopened = await open();
+    assert.strictEqual(reopened.count('users'), 3);
+    console.log('✓ entries at or below the snapshot sequence are skipped');
+}
+
+run()
+    .then(() => fs.rmSync(storagePath, { recursive: true, force: true }))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });